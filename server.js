@@ -14,6 +14,11 @@ import mercadopago from "mercadopago";
 import nodemailer from "nodemailer";
 import { Pool } from "pg";
 import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import forge from "node-forge";
+import fs from "fs";
+import AdmZip from "adm-zip";
+import ExcelJS from "exceljs";
 
 dotenv.config();
 const app = express();
@@ -64,6 +69,36 @@ if (!MP_ACCESS_TOKEN) {
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE);
 
+// PostgREST corta cada respuesta en 1000 filas: para listados completos se
+// pide página por página. makeQuery arma la consulta de nuevo en cada
+// vuelta y tiene que traer un orden estable (ej: .order("id")).
+const SUPABASE_PAGE_SIZE = 1000;
+
+async function selectAllRows(makeQuery) {
+  const rows = [];
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await makeQuery().range(from, from + SUPABASE_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+  }
+}
+
+// Filas por id en tandas (un .in() con miles de ids no entra en la URL)
+async function selectByIds(table, columns, ids, chunk = 200) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  const rows = [];
+  for (let i = 0; i < unique.length; i += chunk) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in("id", unique.slice(i, i + chunk));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
 // ============================
 // POSTGRES (inscripciones web)
 // ============================
@@ -95,8 +130,222 @@ mercadopago.configure({
 // ============================
 // MULTER (para comprobantes / facturas)
 // ============================
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB || 10);
+
 const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: 1,
+  },
+});
+
+// upload.single() pero devolviendo { ok:false, msg } en vez del HTML de
+// error de express cuando el archivo supera el límite.
+function uploadSingle(field) {
+  const mw = upload.single(field);
+  return (req, res, next) => {
+    mw(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return res.json({
+          ok: false,
+          msg: `El archivo supera el máximo de ${MAX_UPLOAD_MB} MB.`,
+        });
+      }
+      console.error("Error multer:", err);
+      return res.json({ ok: false, msg: "No se pudo leer el archivo." });
+    });
+  };
+}
+
+// ZIP de facturas (importación masiva): archivo + manifiesto CSV opcional
+const MAX_ZIP_MB = Number(process.env.MAX_ZIP_MB || 100);
+
+const zipUpload = multer({
+  storage,
+  limits: {
+    fileSize: MAX_ZIP_MB * 1024 * 1024,
+    files: 2,
+  },
+}).fields([
+  { name: "file", maxCount: 1 },
+  { name: "manifest", maxCount: 1 },
+]);
+
+function uploadZip(req, res, next) {
+  zipUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+      return res.json({
+        ok: false,
+        msg: `El archivo supera el máximo de ${MAX_ZIP_MB} MB.`,
+      });
+    }
+    console.error("Error multer:", err);
+    return res.json({ ok: false, msg: "No se pudo leer el archivo." });
+  });
+}
+
+// Tipo real del archivo según sus primeros bytes (no confiamos en
+// originalname ni en el mimetype que manda el navegador).
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+function sniffFileType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer.subarray(0, 5).toString("latin1") === "%PDF-") {
+    return { mime: "application/pdf", ext: "pdf" };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { mime: "image/jpeg", ext: "jpg" };
+  }
+  if (
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return { mime: "image/png", ext: "png" };
+  }
+  if (buffer.subarray(4, 8).toString("latin1") === "ftyp") {
+    const brand = buffer.subarray(8, 12).toString("latin1");
+    if (HEIC_BRANDS.includes(brand)) {
+      return { mime: "image/heic", ext: "heic" };
+    }
+  }
+  return null;
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// ============================
+// HUELLAS DE ARCHIVOS (duplicados / fraude)
+// ============================
+// Tabla upload_fingerprints (Supabase), una fila por archivo subido:
+//   id, kind ('receipt' | 'invoice'), sha256, user_id, month_year,
+//   storage_path, created_at
+
+// Subidas previas del MISMO archivo para otro alumno u otro mes
+async function findDuplicateUploads({ kind, hash, userId, monthYear }) {
+  const { data: previous, error: prevErr } = await supabase
+    .from("upload_fingerprints")
+    .select("user_id, month_year, storage_path, created_at")
+    .eq("kind", kind)
+    .eq("sha256", hash);
+
+  if (prevErr) {
+    console.error("Error buscando huellas previas:", prevErr);
+  }
+
+  return (previous || []).filter(
+    (p) => p.user_id !== userId || p.month_year !== monthYear
+  );
+}
+
+// Guarda la huella de una subida ya registrada
+async function saveFingerprint({ kind, hash, userId, monthYear, path }) {
+  const { error } = await supabase.from("upload_fingerprints").insert({
+    kind,
+    sha256: hash,
+    user_id: userId,
+    month_year: monthYear,
+    storage_path: path,
+    created_at: new Date().toISOString(),
+  });
+
+  if (error) {
+    console.error("Error guardando huella de archivo:", error);
+  }
+}
+
+// Aviso a la academia por un comprobante/factura repetido
+async function notifyDuplicateUpload({ kind, hash, userId, monthYear, duplicates }) {
+  await sendTemplateEmail("upload.duplicate", {
+    to: ACADEMY_EMAIL,
+    vars: {
+      label: kind === "invoice" ? "factura" : "comprobante",
+      user_id: userId,
+      month: monthYear,
+      hash,
+      duplicates: duplicates.map(
+        (d) => `alumno ${d.user_id}, mes ${d.month_year} (${d.created_at})`
+      ),
+    },
+  });
+}
+
+// ============================
+// EXPORTACIÓN (CSV / XLSX)
+// ============================
+// columns: [{ key, header }]. El CSV va con ";" y BOM para que Excel
+// en español lo abra bien (acentos y separador).
+
+// Textos que Excel interpretaría como fórmula (=, +, -, @, tab, CR) salen
+// con "'" adelante: los nombres y notas los escribe cualquiera. Los
+// números quedan como están.
+function safeCell(value) {
+  if (typeof value !== "string") return value;
+  return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const s = String(safeCell(value));
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(";")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row[c.key])).join(";"));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// sheets: [{ name, columns, rows }]
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  for (const sheet of sheets) {
+    const ws = workbook.addWorksheet(sheet.name);
+    ws.columns = sheet.columns.map((c) => ({
+      header: c.header,
+      key: c.key,
+      width: Math.max(12, String(c.header).length + 2),
+    }));
+    ws.getRow(1).font = { bold: true };
+    sheet.rows.forEach((r) => {
+      const row = {};
+      for (const c of sheet.columns) row[c.key] = safeCell(r[c.key]);
+      ws.addRow(row);
+    });
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Responde en el formato pedido (?format=csv|xlsx). El CSV lleva solo la
+// primera hoja. Devuelve false si el formato es JSON (lo arma la ruta).
+async function sendExport(res, format, filename, sheets) {
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+    res.send(toCsv(sheets[0].columns, sheets[0].rows));
+    return true;
+  }
+  if (format === "xlsx") {
+    const buffer = await toXlsx(sheets);
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+    res.send(buffer);
+    return true;
+  }
+  return false;
+}
 
 // ============================
 // NODEMAILER (SMTP)
@@ -119,602 +368,7088 @@ const FROM_EMAIL = SMTP_FROM;
 const ACADEMY_EMAIL = process.env.ACADEMY_EMAIL || FROM_EMAIL;
 
 // ============================
-// HELPER EMAIL NOTIFICACIONES (texto simple)
+// HELPER EMAIL NOTIFICACIONES
 // ============================
-async function sendNotificationEmail(to, subject, text) {
+// No manda directo: deja el mail en email_outbox y hace el primer intento;
+// si falla lo reintenta el worker (ver OUTBOX DE EMAILS).
+// opts: { html?, cc?, templateKey? }
+async function sendNotificationEmail(to, subject, text, { html, cc, templateKey } = {}) {
   if (!to) return;
   try {
-    await transporter.sendMail({
-      from: FROM_EMAIL,
-      to,
-      subject,
-      text,
-    });
+    await queueEmail({ to, cc, subject, text, html, templateKey });
   } catch (err) {
     console.error("Error enviando mail de notificación:", err);
   }
 }
 
 // ============================
-// HEALTHCHECK
+// QUIÉN HACE LA REQUEST (Supabase JWT)
 // ============================
-app.get("/health", (req, res) => {
-  res.json({ ok: true, message: "PauPau backend OK" });
-});
+// Authorization: Bearer <access_token del campus>
+// Devuelve { id, email, role, teacher_id } o null si no hay token válido
+// o el usuario no tiene perfil con un rol del campus (no se asume alumno).
+const CAMPUS_ROLES = ["admin", "teacher", "student"];
+
+async function getRequester(req) {
+  const header = String(req.headers.authorization || "");
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const { data, error } = await supabase.auth.getUser(match[1]);
+  if (error || !data?.user) return null;
+
+  const { data: profile, error: profErr } = await supabase
+    .from("profiles")
+    .select("id, role, teacher_id")
+    .eq("id", data.user.id)
+    .maybeSingle();
+
+  if (profErr) {
+    console.error("Error buscando perfil del usuario:", profErr);
+    return null;
+  }
+  if (!CAMPUS_ROLES.includes(profile?.role)) {
+    console.warn("Usuario sin rol de campus:", data.user.id);
+    return null;
+  }
 
-// =====================================================
-// ================== CUPÓN / MP GENÉRICO ===============
-// =====================================================
+  return {
+    id: data.user.id,
+    email: data.user.email || null,
+    role: profile.role,
+    teacher_id: profile.teacher_id || null,
+  };
+}
 
-// CUPÓN — VERIFICAR
-// Body: { code: "nachoprueba" }
-app.post("/coupon/apply", async (req, res) => {
+// Middleware: exige token válido y deja el usuario en req.user
+async function requireAuth(req, res, next) {
   try {
-    const { code } = req.body || {};
-    if (!code) {
-      return res.status(400).json({ ok: false, msg: "Falta código de cupón" });
+    const user = await getRequester(req);
+    if (!user) {
+      return res.status(401).json({ ok: false, msg: "No autenticado" });
     }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error("Error requireAuth:", err);
+    return res.status(500).json({ ok: false, msg: "Error interno" });
+  }
+}
 
-    const now = new Date().toISOString();
+// Middleware: exige uno de los roles (usar después de requireAuth)
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+    next();
+  };
+}
 
-    const { data, error } = await supabase
-      .from("coupons")
-      .select("*")
-      .eq("code", code)
-      .eq("active", true)
-      .lte("valid_from", now)
-      .gte("valid_to", now)
-      .limit(1)
-      .single();
+// Rutas /admin/* del campus
+const requireCampusAdmin = [requireAuth, requireRole("admin")];
+
+// Reglas de acceso a datos de un alumno:
+//   admin   -> todos
+//   teacher -> sus alumnos (profiles.teacher_id)
+//   student -> solo él mismo
+async function canAccessStudent(user, studentId) {
+  if (!user || !studentId) return false;
+  if (user.role === "admin") return true;
+  if (user.id === studentId) return true;
+  if (user.role !== "teacher") return false;
+
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("teacher_id")
+    .eq("id", studentId)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Error verificando alumno del profe:", error);
+    return false;
+  }
+  return data?.teacher_id === user.id;
+}
 
-    if (error) {
-      console.error("Error buscando cupón:", error);
-      return res
-        .status(500)
-        .json({ ok: false, msg: "Error interno al buscar cupón" });
-    }
+// Las salas de chat llevan los ids de sus dos participantes
+// (ej: "room_<idAlumno>_<idProfe>").
+const UUID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi;
+const ROOM_RE = new RegExp(`^room_(${UUID_RE.source})_(${UUID_RE.source})$`, "i");
 
-    if (!data) {
-      return res.json({ ok: false, msg: "Cupón no válido o inactivo" });
-    }
+function roomParticipants(room) {
+  return (String(room || "").match(UUID_RE) || []).map((id) =>
+    id.toLowerCase()
+  );
+}
 
-    return res.json({
-      ok: true,
-      discount_percent: data.discount_percent || 0,
-      coupon: data,
-    });
-  } catch (err) {
-    console.error("Error /coupon/apply:", err);
-    return res.status(500).json({ ok: false, msg: "Error interno" });
+// Figurar en el nombre no alcanza: la sala es room_<alumno>_<profe> y el
+// alumno tiene que tener hoy a ese profe asignado (profiles.teacher_id).
+async function canAccessRoom(user, room) {
+  if (!user || !room) return false;
+  if (user.role === "admin") return true;
+
+  const match = String(room).match(ROOM_RE);
+  if (!match) return false;
+  const studentId = match[1].toLowerCase();
+  const teacherId = match[2].toLowerCase();
+  const me = String(user.id).toLowerCase();
+
+  if (me === studentId) {
+    return (
+      user.role === "student" && String(user.teacher_id || "").toLowerCase() === teacherId
+    );
   }
-});
+  if (me === teacherId) {
+    return user.role === "teacher" && (await canAccessStudent(user, studentId));
+  }
+  return false;
+}
 
-// MP – CREAR PREFERENCIA GENÉRICA (NO INSCRIPCIONES)
-const createGenericPreferenceHandler = async (req, res) => {
-  try {
-    const {
-      title,
-      quantity,
-      unit_price,
-      back_url_success,
-      back_url_failure,
-      coupon_code,
-    } = req.body || {};
+// ============================
+// STORAGE PRIVADO (comprobantes / facturas)
+// ============================
+// Los buckets son privados: en las tablas se guarda solo el path
+// (payments.receipt_path, invoices.file_path) y se entrega una URL
+// firmada que vence a los SIGNED_URL_TTL segundos.
+// Las columnas receipt_url / file_url quedaron de cuando los buckets eran
+// públicos: no se devuelven nunca y se vacían con esta migración (primero
+// se copia el path de las filas viejas que solo tenían la URL):
+//   UPDATE payments SET receipt_path = regexp_replace(receipt_url,
+//       '^.*/object/public/payment_receipts/', '')
+//     WHERE receipt_path IS NULL AND receipt_url LIKE '%/object/public/payment_receipts/%';
+//   UPDATE payments SET receipt_url = NULL WHERE receipt_url IS NOT NULL;
+//   UPDATE invoices SET file_path = regexp_replace(file_url,
+//       '^.*/object/public/invoices/', '')
+//     WHERE file_path IS NULL AND file_url LIKE '%/object/public/invoices/%';
+//   UPDATE invoices SET file_url = NULL WHERE file_url IS NOT NULL;
+const RECEIPTS_BUCKET = "payment_receipts";
+const SIGNED_URL_TTL = Number(process.env.SIGNED_URL_TTL || 300);
+
+// Saca las URLs públicas viejas de filas de payments / invoices
+function withoutPublicUrl(row) {
+  if (!row) return row;
+  const { receipt_url, file_url, ...rest } = row;
+  return rest;
+}
 
-    if (!title || !quantity || !unit_price) {
-      return res
-        .status(400)
-        .json({ ok: false, msg: "Faltan campos en la preferencia" });
-    }
+function withoutPublicUrls(rows) {
+  return (rows || []).map(withoutPublicUrl);
+}
 
-    let finalAmount = unit_price * quantity;
-    let discountPercent = 0;
-    let couponData = null;
+// Filas sin migrar solo tienen la URL pública: sacamos el path de ahí
+function storagePathFromRow(row, pathCol, urlCol, bucket) {
+  if (row?.[pathCol]) return row[pathCol];
+  const url = row?.[urlCol];
+  if (!url) return null;
+  const marker = `/object/public/${bucket}/`;
+  const i = url.indexOf(marker);
+  return i >= 0 ? decodeURIComponent(url.slice(i + marker.length)) : null;
+}
 
-    if (coupon_code) {
-      const now = new Date().toISOString();
-      const { data: coupon, error: couponErr } = await supabase
-        .from("coupons")
-        .select("*")
-        .eq("code", coupon_code)
-        .eq("active", true)
-        .lte("valid_from", now)
-        .gte("valid_to", now)
-        .limit(1)
-        .single();
-
-      if (couponErr) {
-        console.error("Error consultando cupón para preferencia:", couponErr);
-      } else if (coupon) {
-        discountPercent = coupon.discount_percent || 0;
-        couponData = coupon;
-        finalAmount = finalAmount * (1 - discountPercent / 100);
-      }
-    }
+async function createSignedUrl(bucket, path) {
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrl(path, SIGNED_URL_TTL);
+  if (error) throw error;
+  return data?.signedUrl || null;
+}
 
-    const preference = {
-      items: [
-        {
-          title,
-          quantity,
-          unit_price: Number(finalAmount.toFixed(2)),
-          currency_id: "ARS",
-        },
-      ],
-      back_urls: {
-        success: back_url_success || "https://paupaulanguages.com",
-        failure: back_url_failure || "https://paupaulanguages.com",
-      },
-      auto_return: "approved",
-    };
+// Devuelve una URL firmada para el archivo de (user_id, month) si quien
+// pide puede ver a ese alumno (él, su profe o un admin). Usar después de
+// requireAuth.
+// docType=true: la tabla tiene varias filas por mes (?type=, default invoice)
+async function sendSignedDownload(req, res, { table, pathCol, urlCol, bucket, docType = false }) {
+  const { user_id, month } = req.query || {};
+  if (!user_id || !month) {
+    return res.json({ ok: false, msg: "Faltan user_id o month" });
+  }
 
-    const result = await mercadopago.preferences.create(preference);
+  if (!(await canAccessStudent(req.user, user_id))) {
+    return res.status(403).json({ ok: false, msg: "Sin permiso" });
+  }
 
-    return res.json({
-      ok: true,
-      id: result.body.id,
-      init_point: result.body.init_point,
-      sandbox_init_point: result.body.sandbox_init_point,
-      final_amount: finalAmount,
-      discount_percent: discountPercent,
-      coupon: couponData,
-    });
-  } catch (err) {
-    console.error("Error creando preferencia MP genérica:", err);
-    return res.status(500).json({ ok: false, msg: "Error interno" });
+  let query = supabase
+    .from(table)
+    .select("*")
+    .eq("user_id", user_id)
+    .eq("month_year", month);
+  if (docType) query = query.eq("doc_type", req.query.type || "invoice");
+
+  const { data: row, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error(`Error buscando archivo en ${table}:`, error);
+    return res.json({ ok: false, msg: "Error consultando archivo" });
   }
+
+  const path = storagePathFromRow(row, pathCol, urlCol, bucket);
+  if (!path) {
+    return res.json({ ok: false, msg: "No hay archivo para ese mes" });
+  }
+
+  const url = await createSignedUrl(bucket, path);
+  return res.json({ ok: true, url, expires_in: SIGNED_URL_TTL });
+}
+
+// ============================
+// PLANTILLAS DE EMAIL
+// ============================
+// Todos los mails salen de acá: cada plantilla tiene key, asunto, texto,
+// HTML opcional (si falta se arma con el texto dentro del diseño común)
+// y variables con tipo.
+// Sintaxis:
+//   {{var}}                 -> valor (en el HTML siempre escapado)
+//   {{#var}}...{{/var}}     -> bloque si var tiene valor
+//   {{^var}}...{{/var}}     -> bloque si var está vacía
+// Tipos: string, number, money, boolean, url, list (array de textos),
+//        fields (array de [etiqueta, valor])
+//        money sale en la moneda de la variable currency (ISO: ARS, USD,
+//        EUR...; sin currency, ARS)
+// Idiomas: las plantillas que recibe un alumno traen `translations`
+// ({ en: { subject, text, html? }, ... }). Se manda en el idioma del
+// perfil (profiles.preferred_language) o de la inscripción; si falta la
+// traducción sale en castellano.
+// Los admins pueden editar asunto/texto/HTML por idioma; se guarda en la
+// tabla email_templates (Supabase): key text, lang text default 'es',
+//   subject, text, html, updated_by uuid, updated_at timestamptz
+//   (PK key+lang)
+const EMAIL_LANGUAGES = ["es", "en", "pt", "it"];
+const DEFAULT_EMAIL_LANGUAGE = "es";
+const EMAIL_LOCALES = { es: "es-AR", en: "en-US", pt: "pt-BR", it: "it-IT" };
+
+// Textos sueltos que arma el código (no las plantillas)
+const EMAIL_LABELS = {
+  teacher: { es: "tu profesora", en: "your teacher", pt: "sua professora", it: "la tua insegnante" },
 };
 
-// Rutas genéricas (por compatibilidad con otras páginas)
-app.post("/mp/create-preference", createGenericPreferenceHandler);
+// "EN", "pt-BR", "it_IT" -> código soportado; cualquier otra cosa -> null
+function normalizeLanguage(value) {
+  const code = String(value || "").trim().toLowerCase().slice(0, 2);
+  return EMAIL_LANGUAGES.includes(code) ? code : null;
+}
 
-// =====================================================
-// ========== PAGOS CAMPUS (COMPROBANTES / ADMIN) =======
-// =====================================================
+function emailLabel(name, lang) {
+  const labels = EMAIL_LABELS[name] || {};
+  return labels[normalizeLanguage(lang) || DEFAULT_EMAIL_LANGUAGE] ?? labels.es ?? "";
+}
 
-// SUBIR COMPROBANTE + registrar en payments
-// Body (form-data): file, user_id, month: "YYYY-MM"
-app.post(
-  "/payments/upload-receipt",
-  upload.single("file"),
-  async (req, res) => {
-    try {
-      const { user_id, month } = req.body || {};
-      const file = req.file;
+const EMAIL_TEMPLATES = {
+  "upload.duplicate": {
+    description: "Academia: comprobante o factura idéntico a otro ya cargado",
+    vars: { label: "string", user_id: "string", month: "string", hash: "string", duplicates: "list" },
+    sample: {
+      label: "comprobante",
+      user_id: "8b1c0000-0000-4000-8000-000000000001",
+      month: "2026-03",
+      hash: "3f2a…",
+      duplicates: ["alumno 8b1c…02, mes 2026-02 (2026-02-03T12:00:00Z)"],
+    },
+    subject: "⚠️ Posible {{label}} duplicado — {{month}}",
+    text: `Se subió un {{label}} idéntico a otro ya cargado.
 
-      if (!user_id || !month) {
-        return res.json({
-          ok: false,
-          msg: "Faltan user_id o month en el formulario.",
-        });
-      }
+Alumno: {{user_id}}
+Mes: {{month}}
+SHA-256: {{hash}}
 
-      if (!file) {
-        return res.json({
-          ok: false,
-          msg: "No se recibió archivo para el comprobante.",
-        });
-      }
+Subidas anteriores del mismo archivo:
+{{duplicates}}
 
-      const fileExt = file.originalname.split(".").pop();
-      const fileName = `${user_id}/${month}-${Date.now()}.${fileExt}`;
-      const bucket = "payment_receipts";
+Revisalo en el panel antes de aprobar.
 
-      const { error: uploadError } = await supabase.storage
-        .from(bucket)
-        .upload(fileName, file.buffer, {
-          contentType: file.mimetype,
-          upsert: true,
-        });
+— Backend PauPau`,
+  },
 
-      if (uploadError) {
-        console.error("Error subiendo archivo Storage:", uploadError);
-        return res.json({
-          ok: false,
-          msg: "No se pudo subir el archivo de comprobante.",
-        });
-      }
+  "payment.approved": {
+    description: "Alumno: comprobante de pago aprobado",
+    vars: { first_name: "string", month: "string", amount: "money", currency: "string" },
+    sample: { first_name: "Ana", month: "2026-03", amount: 45000, currency: "ARS" },
+    subject: "Tu pago fue aprobado — Campus PauPau",
+    text: `Hola {{first_name}} 👋
 
-      const { data: publicData } = supabase.storage
-        .from(bucket)
-        .getPublicUrl(fileName);
+Revisamos tu comprobante y el pago quedó aprobado.
 
-      const publicUrl = publicData?.publicUrl || null;
-      const monthYear = month;
+Mes: {{month}}
+{{#amount}}Importe: {{amount}}
+{{/amount}}
+¡Gracias!
 
-      const { error: payErr } = await supabase.from("payments").upsert(
-        {
-          user_id,
-          month_year: monthYear,
-          status: "receipt_uploaded",
-          receipt_url: publicUrl,
-          amount: 0,
-          receipt_uploaded_at: new Date().toISOString(),
-          source: "receipt_upload",
-        },
-        {
-          onConflict: "user_id,month_year",
-        }
-      );
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "Your payment was approved — PauPau Campus",
+        text: `Hi {{first_name}} 👋
 
-      if (payErr) {
-        console.error("Error guardando pago:", payErr);
-        return res.json({
-          ok: false,
-          msg: "Recibo subido pero no se pudo registrar el pago en la tabla.",
-        });
-      }
+We checked your receipt and your payment has been approved.
 
-      return res.json({ ok: true, url: publicUrl });
-    } catch (err) {
-      console.error("Error /payments/upload-receipt:", err);
-      return res.json({ ok: false, msg: "Error interno" });
-    }
-  }
-);
+Month: {{month}}
+{{#amount}}Amount: {{amount}}
+{{/amount}}
+Thank you!
 
-// ADMIN — pagos por usuario
-// GET /admin/payments/user?user_id=...&month=YYYY-MM
-app.get("/admin/payments/user", async (req, res) => {
-  try {
-    const { user_id, month } = req.query || {};
-    if (!user_id) {
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Seu pagamento foi aprovado — Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+Revisamos seu comprovante e o pagamento foi aprovado.
+
+Mês: {{month}}
+{{#amount}}Valor: {{amount}}
+{{/amount}}
+Obrigado!
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Il tuo pagamento è stato approvato — Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+Abbiamo controllato la tua ricevuta e il pagamento è stato approvato.
+
+Mese: {{month}}
+{{#amount}}Importo: {{amount}}
+{{/amount}}
+Grazie!
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "payment.rejected": {
+    description: "Alumno: comprobante de pago rechazado",
+    vars: { first_name: "string", month: "string", reason: "string" },
+    sample: { first_name: "Ana", month: "2026-03", reason: "El comprobante no se lee bien." },
+    subject: "Revisá tu comprobante de pago — Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+No pudimos aprobar el comprobante que subiste.
+
+Mes: {{month}}
+Motivo: {{#reason}}{{reason}}{{/reason}}{{^reason}}-{{/reason}}
+
+Por favor subí un nuevo comprobante desde la sección de Pagos en el campus.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "Please check your payment receipt — PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+We couldn't approve the receipt you uploaded.
+
+Month: {{month}}
+Reason: {{#reason}}{{reason}}{{/reason}}{{^reason}}-{{/reason}}
+
+Please upload a new receipt from the Payments section of the campus.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Confira seu comprovante de pagamento — Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+Não conseguimos aprovar o comprovante que você enviou.
+
+Mês: {{month}}
+Motivo: {{#reason}}{{reason}}{{/reason}}{{^reason}}-{{/reason}}
+
+Por favor, envie um novo comprovante pela seção Pagamentos do campus.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Controlla la tua ricevuta di pagamento — Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+Non siamo riusciti ad approvare la ricevuta che hai caricato.
+
+Mese: {{month}}
+Motivo: {{#reason}}{{reason}}{{/reason}}{{^reason}}-{{/reason}}
+
+Carica una nuova ricevuta dalla sezione Pagamenti del campus.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "payment.exempt": {
+    description: "Alumno: cuota exenta de pago",
+    vars: { first_name: "string", month: "string" },
+    sample: { first_name: "Ana", month: "2026-03" },
+    subject: "Novedades sobre tu cuota — Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+Te informamos que la cuota de {{month}} quedó exenta de pago.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "An update about your monthly fee — PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+We'd like to let you know that your fee for {{month}} has been waived.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Novidades sobre sua mensalidade — Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+Informamos que a mensalidade de {{month}} ficou isenta de pagamento.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Novità sulla tua quota — Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+Ti informiamo che la quota di {{month}} è stata esentata dal pagamento.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "billing.reminder": {
+    description: "Alumno: recordatorio de cuota antes del vencimiento",
+    vars: {
+      first_name: "string",
+      month: "string",
+      due_day: "number",
+      amount: "money",
+      currency: "string",
+    },
+    sample: { first_name: "Ana", month: "2026-03", due_day: 7, amount: 45000, currency: "ARS" },
+    subject: "Recordatorio de pago de cuota — Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+Te recordamos que la cuota de {{month}} se abona hasta el día {{due_day}}.
+{{#amount}}Importe: {{amount}}
+{{/amount}}
+Podés pagarla online o subir tu comprobante desde la sección de Pagos en el campus.
+Si no se registra el pago, las clases se suspenderán.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "Monthly fee reminder — PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+Just a reminder that your fee for {{month}} is due by day {{due_day}}.
+{{#amount}}Amount: {{amount}}
+{{/amount}}
+You can pay online or upload your receipt from the Payments section of the campus.
+If no payment is recorded, your classes will be suspended.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Lembrete de pagamento da mensalidade — Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+Lembramos que a mensalidade de {{month}} deve ser paga até o dia {{due_day}}.
+{{#amount}}Valor: {{amount}}
+{{/amount}}
+Você pode pagar online ou enviar seu comprovante pela seção Pagamentos do campus.
+Se o pagamento não for registrado, as aulas serão suspensas.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Promemoria di pagamento della quota — Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+Ti ricordiamo che la quota di {{month}} va pagata entro il giorno {{due_day}}.
+{{#amount}}Importo: {{amount}}
+{{/amount}}
+Puoi pagarla online o caricare la ricevuta dalla sezione Pagamenti del campus.
+Se il pagamento non viene registrato, le lezioni saranno sospese.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "billing.overdue": {
+    description: "Alumno: cuota vencida sin pago registrado",
+    vars: {
+      first_name: "string",
+      month: "string",
+      due_day: "number",
+      amount: "money",
+      currency: "string",
+    },
+    sample: { first_name: "Ana", month: "2026-03", due_day: 7, amount: 45000, currency: "ARS" },
+    subject: "Tu cuota está vencida — Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+La cuota de {{month}} venció el día {{due_day}} y todavía no la tenemos registrada.
+{{#amount}}Importe: {{amount}}
+{{/amount}}
+Podés pagarla online o subir tu comprobante desde la sección de Pagos en el campus.
+Si no se registra el pago, las clases se suspenderán.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "Your monthly fee is overdue — PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+Your fee for {{month}} was due on day {{due_day}} and we haven't recorded it yet.
+{{#amount}}Amount: {{amount}}
+{{/amount}}
+You can pay online or upload your receipt from the Payments section of the campus.
+If no payment is recorded, your classes will be suspended.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Sua mensalidade está vencida — Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+A mensalidade de {{month}} venceu no dia {{due_day}} e ainda não foi registrada.
+{{#amount}}Valor: {{amount}}
+{{/amount}}
+Você pode pagar online ou enviar seu comprovante pela seção Pagamentos do campus.
+Se o pagamento não for registrado, as aulas serão suspensas.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "La tua quota è scaduta — Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+La quota di {{month}} è scaduta il giorno {{due_day}} e non risulta ancora pagata.
+{{#amount}}Importo: {{amount}}
+{{/amount}}
+Puoi pagarla online o caricare la ricevuta dalla sezione Pagamenti del campus.
+Se il pagamento non viene registrato, le lezioni saranno sospese.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "billing.suspended_teacher": {
+    description: "Profe: alumnos con clases suspendidas por falta de pago",
+    vars: { first_name: "string", month: "string", students: "list" },
+    sample: { first_name: "Paula", month: "2026-03", students: ["Ana Pérez", "Juan Gómez"] },
+    subject: "Alumnos con clases suspendidas — {{month}}",
+    text: `Hola {{first_name}} 👋
+
+Estos alumnos no registraron el pago de {{month}} y sus clases quedan suspendidas hasta que regularicen:
+
+{{students}}
+
+— Equipo PauPau`,
+  },
+
+  "invoice.available": {
+    description: "Alumno: factura nueva disponible en el campus",
+    vars: { first_name: "string", month: "string", amount: "money", currency: "string" },
+    sample: { first_name: "Ana", month: "2026-03", amount: 45000, currency: "ARS" },
+    subject: "Nueva factura disponible en el Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+Se cargó una nueva factura de tu curso en el Campus PauPau.
+
+Mes: {{month}}
+{{#amount}}Importe: {{amount}}
+{{/amount}}
+Podés verla y descargarla entrando a la sección de Pagos en el campus.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "New invoice available on the PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+A new invoice for your course has been uploaded to the PauPau Campus.
+
+Month: {{month}}
+{{#amount}}Amount: {{amount}}
+{{/amount}}
+You can view and download it from the Payments section of the campus.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Nova nota fiscal disponível no Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+Uma nova nota fiscal do seu curso foi carregada no Campus PauPau.
+
+Mês: {{month}}
+{{#amount}}Valor: {{amount}}
+{{/amount}}
+Você pode vê-la e baixá-la na seção Pagamentos do campus.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Nuova fattura disponibile sul Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+È stata caricata una nuova fattura del tuo corso sul Campus PauPau.
+
+Mese: {{month}}
+{{#amount}}Importo: {{amount}}
+{{/amount}}
+Puoi vederla e scaricarla dalla sezione Pagamenti del campus.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "chat.message": {
+    description: "Mensaje nuevo en el chat (envío inmediato)",
+    vars: { first_name: "string", sender_name: "string", content: "string" },
+    sample: { first_name: "Ana", sender_name: "Paula Toledo", content: "¿Pudiste ver la tarea?" },
+    subject: "Nuevo mensaje en el chat del Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+{{sender_name}} te envió un mensaje nuevo en el chat del campus:
+
+"{{content}}"
+
+Ingresá al Campus PauPau para continuar la conversación.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "New message in the PauPau Campus chat",
+        text: `Hi {{first_name}} 👋
+
+{{sender_name}} sent you a new message in the campus chat:
+
+"{{content}}"
+
+Log in to the PauPau Campus to continue the conversation.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Nova mensagem no chat do Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+{{sender_name}} enviou uma nova mensagem para você no chat do campus:
+
+"{{content}}"
+
+Acesse o Campus PauPau para continuar a conversa.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Nuovo messaggio nella chat del Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+{{sender_name}} ti ha inviato un nuovo messaggio nella chat del campus:
+
+"{{content}}"
+
+Accedi al Campus PauPau per continuare la conversazione.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "chat.digest": {
+    description: "Resumen de mensajes de chat sin leer",
+    vars: { first_name: "string", count: "number", multiple: "boolean", messages: "list" },
+    sample: {
+      first_name: "Ana",
+      count: 2,
+      multiple: true,
+      messages: ['Paula Toledo (10:02): "¿Pudiste ver la tarea?"', 'Paula Toledo (10:05): "Te dejé el audio."'],
+    },
+    subject:
+      "{{#multiple}}Tenés {{count}} mensajes nuevos en el chat del Campus PauPau{{/multiple}}{{^multiple}}Nuevo mensaje en el chat del Campus PauPau{{/multiple}}",
+    text: `Hola {{first_name}} 👋
+
+Tenés mensajes sin leer en el chat del campus:
+
+{{messages}}
+
+Ingresá al Campus PauPau para continuar la conversación.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject:
+          "{{#multiple}}You have {{count}} new messages in the PauPau Campus chat{{/multiple}}{{^multiple}}New message in the PauPau Campus chat{{/multiple}}",
+        text: `Hi {{first_name}} 👋
+
+You have unread messages in the campus chat:
+
+{{messages}}
+
+Log in to the PauPau Campus to continue the conversation.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject:
+          "{{#multiple}}Você tem {{count}} mensagens novas no chat do Campus PauPau{{/multiple}}{{^multiple}}Nova mensagem no chat do Campus PauPau{{/multiple}}",
+        text: `Olá {{first_name}} 👋
+
+Você tem mensagens não lidas no chat do campus:
+
+{{messages}}
+
+Acesse o Campus PauPau para continuar a conversa.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject:
+          "{{#multiple}}Hai {{count}} nuovi messaggi nella chat del Campus PauPau{{/multiple}}{{^multiple}}Nuovo messaggio nella chat del Campus PauPau{{/multiple}}",
+        text: `Ciao {{first_name}} 👋
+
+Hai messaggi non letti nella chat del campus:
+
+{{messages}}
+
+Accedi al Campus PauPau per continuare la conversazione.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "notify.assignment": {
+    description: "Alumno: tarea nueva",
+    vars: { first_name: "string", teacher_name: "string", title: "string", description: "string" },
+    sample: { first_name: "Ana", teacher_name: "Paula Toledo", title: "Past simple", description: "Ejercicios 1 a 5" },
+    subject: "Nueva tarea en el Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+{{teacher_name}} te asignó una nueva tarea en el Campus PauPau.
+
+Título: {{title}}
+{{#description}}Descripción: {{description}}
+{{/description}}
+Ingresá al campus para verla y subir tu entrega.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "New assignment on the PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+{{teacher_name}} gave you a new assignment on the PauPau Campus.
+
+Title: {{title}}
+{{#description}}Description: {{description}}
+{{/description}}
+Log in to the campus to see it and hand in your work.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Nova tarefa no Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+{{teacher_name}} passou uma nova tarefa para você no Campus PauPau.
+
+Título: {{title}}
+{{#description}}Descrição: {{description}}
+{{/description}}
+Acesse o campus para vê-la e enviar sua entrega.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Nuovo compito sul Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+{{teacher_name}} ti ha assegnato un nuovo compito sul Campus PauPau.
+
+Titolo: {{title}}
+{{#description}}Descrizione: {{description}}
+{{/description}}
+Accedi al campus per vederlo e consegnare il tuo lavoro.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "notify.recording": {
+    description: "Alumno: clase grabada nueva",
+    vars: { first_name: "string", teacher_name: "string", title: "string" },
+    sample: { first_name: "Ana", teacher_name: "Paula Toledo", title: "Clase 12 — Conditionals" },
+    subject: "Nueva clase grabada en el Campus PauPau",
+    text: `Hola {{first_name}} 👋
+
+{{teacher_name}} subió una nueva clase grabada para vos.
+
+Título: {{title}}
+
+Ingresá al Campus PauPau para verla.
+
+— Equipo PauPau`,
+    translations: {
+      en: {
+        subject: "New recorded class on the PauPau Campus",
+        text: `Hi {{first_name}} 👋
+
+{{teacher_name}} uploaded a new recorded class for you.
+
+Title: {{title}}
+
+Log in to the PauPau Campus to watch it.
+
+— The PauPau Team`,
+      },
+      pt: {
+        subject: "Nova aula gravada no Campus PauPau",
+        text: `Olá {{first_name}} 👋
+
+{{teacher_name}} enviou uma nova aula gravada para você.
+
+Título: {{title}}
+
+Acesse o Campus PauPau para assistir.
+
+— Equipe PauPau`,
+      },
+      it: {
+        subject: "Nuova lezione registrata sul Campus PauPau",
+        text: `Ciao {{first_name}} 👋
+
+{{teacher_name}} ha caricato una nuova lezione registrata per te.
+
+Titolo: {{title}}
+
+Accedi al Campus PauPau per guardarla.
+
+— Il team PauPau`,
+      },
+    },
+  },
+
+  "coupon.over_limit": {
+    description: "Academia: pago aprobado con un cupón que ya no tenía usos",
+    vars: {
+      code: "string",
+      payment_id: "string",
+      email: "string",
+      max_uses: "number",
+      discount: "string",
+    },
+    sample: {
+      code: "PROMO10",
+      payment_id: "123456789",
+      email: "ana@example.com",
+      max_uses: 50,
+      discount: "4500 ARS",
+    },
+    subject: "⚠️ Cupón {{code}} usado por encima del límite",
+    text: `Mercado Pago aprobó el pago {{payment_id}} con el cupón {{code}}, pero el cupón ya había llegado a su límite de {{max_uses}} usos (la preferencia se creó antes de que se agotara).
+
+Email: {{#email}}{{email}}{{/email}}{{^email}}-{{/email}}
+Descuento aplicado: {{discount}}
+
+El canje quedó registrado con over_limit = true. Revisá si corresponde cobrar la diferencia.
+
+— Backend PauPau`,
+  },
+
+  "campus.payment_review": {
+    description: "Academia: pago de cuota por MP que no se aplicó solo",
+    vars: {
+      user_id: "string",
+      month: "string",
+      mp_payment_id: "string",
+      mp_status: "string",
+      current_status: "string",
+      amount: "string",
+      note: "string",
+    },
+    sample: {
+      user_id: "8b1c0000-0000-4000-8000-000000000001",
+      month: "2026-03",
+      mp_payment_id: "123456789",
+      mp_status: "approved",
+      current_status: "approved",
+      amount: "45000 ARS",
+      note: "La cuota ya estaba aprobada: posible pago doble.",
+    },
+    subject: "⚠️ Revisar pago de cuota {{month}} (MP {{mp_status}})",
+    text: `Mercado Pago avisó el pago {{mp_payment_id}} ({{mp_status}}, {{amount}}) de la cuota {{month}}.
+
+Alumno: {{user_id}}
+Estado en el campus: {{current_status}}
+
+{{note}}
+
+— Backend PauPau`,
+  },
+
+  "inscripcion.reversed": {
+    description:
+      "Academia / profe: pago de inscripción devuelto / contracargo / cancelado",
+    vars: {
+      payment_id: "string",
+      status_label: "string",
+      alumno_nombre: "string",
+      alumno_email: "string",
+      modalidad: "string",
+      teacher: "string",
+      amount: "string",
+      reservas: "string",
+      horarios: "string",
+    },
+    sample: {
+      payment_id: "123456789",
+      status_label: "devuelto",
+      alumno_nombre: "Ana Pérez",
+      alumno_email: "ana@example.com",
+      modalidad: "individual",
+      teacher: "Paula Toledo",
+      amount: "45000 ARS",
+      reservas: "12, 13",
+      horarios: "Paula Toledo Lunes 18:00; Paula Toledo Jueves 18:00",
+    },
+    subject: "Pago {{status_label}} — {{alumno_nombre}}",
+    text: `El pago {{payment_id}} de Mercado Pago pasó a estado "{{status_label}}".
+
+Alumno: {{alumno_nombre}} ({{#alumno_email}}{{alumno_email}}{{/alumno_email}}{{^alumno_email}}sin email{{/alumno_email}})
+Modalidad: {{modalidad}}
+Profesor: {{teacher}}
+Monto: {{amount}}
+{{#reservas}}Reservas canceladas (horarios liberados): {{reservas}}
+{{/reservas}}{{#horarios}}Horarios: {{horarios}}
+{{/horarios}}
+— Backend PauPau`,
+  },
+
+  "inscripcion.reversed_student": {
+    description: "Alumno: su inscripción quedó anulada porque el pago se revirtió",
+    vars: { nombre: "string", horarios: "string" },
+    sample: { nombre: "Ana", horarios: "Lunes 18:00; Jueves 18:00" },
+    subject: "Tu inscripción quedó anulada — PauPau Languages",
+    text: `Hola {{nombre}},
+
+El pago de tu inscripción ya no figura como aprobado en Mercado Pago (devolución, contracargo o cancelación), así que la inscripción quedó anulada.
+{{#horarios}}Se liberaron los horarios reservados: {{horarios}}
+{{/horarios}}
+Si creés que es un error o querés volver a inscribirte, respondé este mail y lo vemos.
+
+PauPau Languages`,
+    translations: {
+      en: {
+        subject: "Your enrollment was cancelled — PauPau Languages",
+        text: `Hi {{nombre}},
+
+The payment for your enrollment is no longer approved in Mercado Pago (refund, chargeback or cancellation), so your enrollment was cancelled.
+{{#horarios}}The reserved time slots were released: {{horarios}}
+{{/horarios}}
+If you think this is a mistake or want to enroll again, reply to this email and we'll sort it out.
+
+PauPau Languages`,
+      },
+      pt: {
+        subject: "Sua inscrição foi anulada — PauPau Languages",
+        text: `Olá {{nombre}},
+
+O pagamento da sua inscrição não aparece mais como aprovado no Mercado Pago (reembolso, contestação ou cancelamento), então a inscrição foi anulada.
+{{#horarios}}Os horários reservados foram liberados: {{horarios}}
+{{/horarios}}
+Se você acha que é um erro ou quer se inscrever de novo, responda este e-mail e vemos juntos.
+
+PauPau Languages`,
+      },
+      it: {
+        subject: "La tua iscrizione è stata annullata — PauPau Languages",
+        text: `Ciao {{nombre}},
+
+Il pagamento della tua iscrizione non risulta più approvato su Mercado Pago (rimborso, contestazione o annullamento), quindi l'iscrizione è stata annullata.
+{{#horarios}}Gli orari prenotati sono stati liberati: {{horarios}}
+{{/horarios}}
+Se pensi che sia un errore o vuoi iscriverti di nuovo, rispondi a questa email e lo vediamo insieme.
+
+PauPau Languages`,
+      },
+    },
+  },
+
+  "inscripcion.welcome": {
+    description: "Alumno: bienvenida al confirmarse el pago de la inscripción",
+    vars: {
+      nombre: "string",
+      profesor: "string",
+      horarios: "string",
+      prof_email: "string",
+      intensivo: "boolean",
+      grupal: "boolean",
+    },
+    sample: {
+      nombre: "Ana",
+      profesor: "Paula Toledo",
+      horarios: "Lunes 18:00; Jueves 18:00",
+      prof_email: "profe@example.com",
+      intensivo: false,
+      grupal: false,
+    },
+    subject:
+      "{{#intensivo}}¡Bienvenido al Intensivo 90 Días!{{/intensivo}}{{^intensivo}}{{#grupal}}¡Tu inscripción fue confirmada!{{/grupal}}{{^grupal}}¡Inscripción confirmada!{{/grupal}}{{/intensivo}}",
+    text: `¡Hola {{nombre}}!
+
+¡Qué alegría que seas parte de nuestra Escuela! Estoy feliz de recibirte y darte la bienvenida.
+En Paupau Languages conectamos personas con el mundo y desde hoy vos también sos parte de esa comunidad.
+
+Tu docente: {{profesor}}
+Tus horarios: {{#horarios}}{{horarios}}{{/horarios}}{{^horarios}}A confirmar{{/horarios}}
+{{#prof_email}}Correo del profesor: {{prof_email}}
+{{/prof_email}}
+Te pedimos puntualidad y cámara/micrófono encendidos para una mejor experiencia.
+Más cerca de la fecha de inicio tu docente te enviará los links de acceso.
+
+Aranceles: se abonan del 1 al 7 de cada mes por transferencia bancaria. En caso de no abonar en tiempo y forma, las clases se suspenderán.
+
+Si surge cualquier duda, escribinos cuando quieras.
+
+PauPau Languages
+Instagram: @paupaulanguages`,
+    html: `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Bienvenida PauPau</title>
+</head>
+<body style="margin:0;padding:0;background:#0b0b10;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;">
+<table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#0b0b10;padding:24px 0;">
+  <tr>
+    <td align="center">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;background:#111827;border-radius:16px;border:1px solid #1f2937;overflow:hidden;">
+        <tr>
+          <td style="padding:24px 24px 16px 24px;background:linear-gradient(135deg,#4f46e5,#6366f1);">
+            <h1 style="margin:0;color:#f9fafb;font-size:24px;font-weight:700;">
+              ¡Hola {{nombre}}!
+            </h1>
+          </td>
+        </tr>
+
+        <tr>
+          <td style="padding:24px;color:#e5e7eb;font-size:15px;line-height:1.6;">
+            <p style="margin:0 0 12px 0;">
+              ¡Qué alegría que seas parte de nuestra Escuela! Estoy feliz de recibirte y darte la bienvenida.
+            </p>
+            <p style="margin:0 0 20px 0;">
+              En Paupau Languages conectamos personas con el mundo y desde hoy vos también sos parte de esa comunidad.
+            </p>
+
+            <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-radius:14px;border:1px solid #374151;background:#111827;padding:16px 18px;margin-bottom:20px;">
+              <tr>
+                <td style="font-size:14px;color:#e5e7eb;">
+                  <p style="margin:0 0 8px 0;">
+                    <strong>Tu docente:</strong> {{profesor}}
+                  </p>
+                  <p style="margin:0 0 8px 0;">
+                    <strong>Tus horarios:</strong> {{#horarios}}{{horarios}}{{/horarios}}{{^horarios}}A confirmar{{/horarios}}
+                  </p>
+                  <p style="margin:0 0 8px 0;">
+                    <strong>Profesor/tutor:</strong> {{profesor}}
+                  </p>
+                  {{#prof_email}}<p style="margin:0;">
+                    <strong>Correo del profesor:</strong>
+                    <a href="mailto:{{prof_email}}" style="color:#60a5fa;text-decoration:none;">
+                      {{prof_email}}
+                    </a>
+                  </p>{{/prof_email}}
+                </td>
+              </tr>
+            </table>
+
+            <p style="margin:0 0 16px 0;">
+              Te pedimos puntualidad y cámara/micrófono encendidos para una mejor experiencia.
+            </p>
+            <p style="margin:0 0 20px 0;">
+              Más cerca de la fecha de inicio tu docente te enviará los links de acceso.
+            </p>
+
+            <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-radius:14px;border:1px solid #92400e;background:#451a03;padding:14px 16px;margin-bottom:20px;">
+              <tr>
+                <td style="font-size:14px;color:#fed7aa;">
+                  <strong>Aranceles:</strong>
+                  Se abonan del 1 al 7 de cada mes por transferencia bancaria.
+                  En caso de no abonar en tiempo y forma, las clases se suspenderán.
+                </td>
+              </tr>
+            </table>
+
+            <p style="margin:0 0 6px 0;">
+              Si surge cualquier duda, escribinos cuando quieras.
+            </p>
+
+            <p style="margin:16px 0 0 0;font-size:14px;color:#9ca3af;">
+              <strong style="color:#e5e7eb;">PauPau Languages</strong><br/>
+              Instagram:
+              <a href="https://www.instagram.com/paupaulanguages" style="color:#60a5fa;text-decoration:none;">
+                @paupaulanguages
+              </a>
+            </p>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>`,
+    translations: {
+      en: {
+        subject:
+          "{{#intensivo}}Welcome to the 90-Day Intensive!{{/intensivo}}{{^intensivo}}{{#grupal}}Your enrollment is confirmed!{{/grupal}}{{^grupal}}Enrollment confirmed!{{/grupal}}{{/intensivo}}",
+        text: `Hi {{nombre}}!
+
+We're so glad you're joining our School! I'm happy to have you and to welcome you.
+At Paupau Languages we connect people with the world, and from today you're part of that community too.
+
+Your teacher: {{profesor}}
+Your schedule: {{#horarios}}{{horarios}}{{/horarios}}{{^horarios}}To be confirmed{{/horarios}}
+{{#prof_email}}Teacher's email: {{prof_email}}
+{{/prof_email}}
+Please be on time and keep your camera and microphone on for a better experience.
+Closer to the start date your teacher will send you the access links.
+
+Fees: paid between the 1st and the 7th of each month by bank transfer. If the fee isn't paid on time, classes will be suspended.
+
+If you have any questions, write to us anytime.
+
+PauPau Languages
+Instagram: @paupaulanguages`,
+      },
+      pt: {
+        subject:
+          "{{#intensivo}}Boas-vindas ao Intensivo 90 Dias!{{/intensivo}}{{^intensivo}}{{#grupal}}Sua inscrição foi confirmada!{{/grupal}}{{^grupal}}Inscrição confirmada!{{/grupal}}{{/intensivo}}",
+        text: `Olá {{nombre}}!
+
+Que alegria ter você na nossa Escola! Estou feliz em receber você e dar as boas-vindas.
+Na Paupau Languages conectamos pessoas com o mundo e, a partir de hoje, você também faz parte dessa comunidade.
+
+Seu professor: {{profesor}}
+Seus horários: {{#horarios}}{{horarios}}{{/horarios}}{{^horarios}}A confirmar{{/horarios}}
+{{#prof_email}}E-mail do professor: {{prof_email}}
+{{/prof_email}}
+Pedimos pontualidade e câmera/microfone ligados para uma melhor experiência.
+Mais perto da data de início seu professor enviará os links de acesso.
+
+Mensalidades: são pagas do dia 1 ao 7 de cada mês por transferência bancária. Caso não sejam pagas em dia, as aulas serão suspensas.
+
+Se tiver qualquer dúvida, escreva para nós quando quiser.
+
+PauPau Languages
+Instagram: @paupaulanguages`,
+      },
+      it: {
+        subject:
+          "{{#intensivo}}Benvenuto all'Intensivo 90 Giorni!{{/intensivo}}{{^intensivo}}{{#grupal}}La tua iscrizione è confermata!{{/grupal}}{{^grupal}}Iscrizione confermata!{{/grupal}}{{/intensivo}}",
+        text: `Ciao {{nombre}}!
+
+Che gioia averti nella nostra Scuola! Sono felice di accoglierti e darti il benvenuto.
+In Paupau Languages colleghiamo le persone con il mondo e da oggi anche tu fai parte di questa comunità.
+
+Il tuo insegnante: {{profesor}}
+I tuoi orari: {{#horarios}}{{horarios}}{{/horarios}}{{^horarios}}Da confermare{{/horarios}}
+{{#prof_email}}Email dell'insegnante: {{prof_email}}
+{{/prof_email}}
+Ti chiediamo puntualità e telecamera/microfono accesi per un'esperienza migliore.
+Più vicino alla data di inizio il tuo insegnante ti invierà i link di accesso.
+
+Quote: si pagano dal 1 al 7 di ogni mese tramite bonifico bancario. In caso di mancato pagamento nei tempi previsti, le lezioni saranno sospese.
+
+Se hai qualsiasi dubbio, scrivici quando vuoi.
+
+PauPau Languages
+Instagram: @paupaulanguages`,
+      },
+    },
+  },
+
+  "inscripcion.admin": {
+    description: "Academia / profe: nueva inscripción confirmada con el formulario",
+    vars: {
+      modalidad: "string",
+      alumno_nombre: "string",
+      alumno_email: "string",
+      profesor: "string",
+      prof_email: "string",
+      horarios: "string",
+      reservas: "string",
+      form: "fields",
+      intensivo: "boolean",
+      grupal: "boolean",
+    },
+    sample: {
+      modalidad: "individual",
+      alumno_nombre: "Ana Pérez",
+      alumno_email: "ana@example.com",
+      profesor: "Paula Toledo",
+      prof_email: "profe@example.com",
+      horarios: "Lunes 18:00; Jueves 18:00",
+      reservas: "12, 13",
+      form: [["DNI", "30123456"], ["whatsapp", "+54 9 11 5555-5555"], ["nivel", "B1"]],
+      intensivo: false,
+      grupal: false,
+    },
+    subject:
+      "{{#intensivo}}Nueva inscripción Intensivo 90 Días — {{alumno_nombre}}{{/intensivo}}{{^intensivo}}{{#grupal}}Nueva inscripción grupal — {{alumno_nombre}}{{/grupal}}{{^grupal}}Nueva inscripción confirmada: {{alumno_nombre}} con {{profesor}}{{/grupal}}{{/intensivo}}",
+    text: `Nueva inscripción confirmada
+
+Modalidad: {{modalidad}}
+Alumno: {{alumno_nombre}}{{#alumno_email}} ({{alumno_email}}){{/alumno_email}}
+Profesor: {{profesor}}{{#prof_email}} ({{prof_email}}){{/prof_email}}
+{{#horarios}}Horarios: {{horarios}}
+{{/horarios}}{{#reservas}}Reservas: {{reservas}}
+{{/reservas}}{{#form}}
+Formulario
+{{form}}
+{{/form}}`,
+    html: `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8" />
+<title>Nueva inscripción confirmada</title>
+</head>
+<body style="margin:0;padding:16px;background:#111827;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;color:#e5e7eb;">
+<h2 style="margin-top:0;margin-bottom:8px;">Nueva <span style="background:#facc15;color:#111827;padding:2px 6px;border-radius:4px;">inscripción</span> confirmada</h2>
+<p style="margin-top:0;margin-bottom:18px;font-size:14px;color:#9ca3af;">
+  Modalidad: <strong>{{modalidad}}</strong>
+</p>
+
+<ul style="margin:0 0 18px 18px;padding:0;font-size:14px;line-height:1.6;">
+  <li><strong>Modalidad:</strong> {{modalidad}}</li>
+  <li><strong>Alumno:</strong> {{alumno_nombre}}{{#alumno_email}} (<a href="mailto:{{alumno_email}}" style="color:#60a5fa;">{{alumno_email}}</a>){{/alumno_email}}</li>
+  <li><strong>Profesor:</strong> {{profesor}}{{#prof_email}} (<a href="mailto:{{prof_email}}" style="color:#60a5fa;">{{prof_email}}</a>){{/prof_email}}</li>
+  {{#horarios}}<li><strong>Horarios:</strong> {{horarios}}</li>{{/horarios}}
+  {{#reservas}}<li><strong>Reservas:</strong> {{reservas}}</li>{{/reservas}}
+</ul>
+
+{{#form}}<h3 style="margin:12px 0 6px 0;">Formulario</h3>
+<ul style="margin:0 0 8px 18px;padding:0;font-size:14px;line-height:1.6;">
+  {{form}}
+</ul>{{/form}}
+</body>
+</html>`,
+  },
+
+  "system.test": {
+    description: "Prueba de envío SMTP",
+    vars: {},
+    sample: {},
+    subject: "Test PauPau Notificaciones",
+    text: "Este es un test de nodemailer funcionando en Render 🚀",
+  },
+};
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Secciones y variables en una sola regex: el texto se recorre una vez y
+// lo que se reemplaza (valores que escribió un usuario) no se vuelve a
+// leer, así un "{{otra_var}}" dentro de un valor sale tal cual.
+const TEMPLATE_TOKEN_RE =
+  /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+function isTemplateValueSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value != null && value !== "" && value !== false;
+}
+
+// Valor de una variable según su tipo; en HTML queda escapado
+function formatTemplateVar(value, type, html, locale, currency) {
+  if (value == null) return "";
+  const esc = html ? escapeHtml : (s) => String(s);
+
+  switch (type) {
+    case "number":
+      return esc(Number(value));
+    case "money":
+      return esc(formatMoney(value, currency || "ARS", locale));
+    case "boolean":
+      return "";
+    case "url":
+      return /^(https?:|mailto:)/i.test(String(value)) ? esc(value) : "";
+    case "list": {
+      const items = Array.isArray(value) ? value : [value];
+      return html
+        ? items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")
+        : items.map((i) => `- ${i}`).join("\n");
+    }
+    case "fields": {
+      const items = Array.isArray(value) ? value : [];
+      return html
+        ? items
+            .map(([k, v]) => `<li><strong>${escapeHtml(k)}:</strong> ${escapeHtml(v)}</li>`)
+            .join("")
+        : items.map(([k, v]) => `${k}: ${v}`).join("\n");
+    }
+    default:
+      return esc(value);
+  }
+}
+
+function renderTemplateString(tpl, vars, types, html, locale) {
+  return String(tpl || "").replace(
+    TEMPLATE_TOKEN_RE,
+    (m, kind, section, inner, name) => {
+      if (section) {
+        return (kind === "#") === isTemplateValueSet(vars[section])
+          ? renderTemplateString(inner, vars, types, html, locale)
+          : "";
+      }
+      return formatTemplateVar(vars[name], types[name], html, locale, vars.currency);
+    }
+  );
+}
+
+// Diseño común para plantillas sin HTML propio
+function emailLayout(bodyHtml, lang = DEFAULT_EMAIL_LANGUAGE) {
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head><meta charset="utf-8" /></head>
+<body style="margin:0;padding:0;background:#f3f4f6;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;">
+<table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="padding:24px 0;">
+  <tr>
+    <td align="center">
+      <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;background:#ffffff;border-radius:16px;overflow:hidden;">
+        <tr>
+          <td style="padding:18px 24px;background:linear-gradient(135deg,#4f46e5,#6366f1);color:#f9fafb;font-size:18px;font-weight:700;">
+            PauPau Languages
+          </td>
+        </tr>
+        <tr>
+          <td style="padding:24px;color:#111827;font-size:15px;line-height:1.6;">
+            ${bodyHtml}
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>`;
+}
+
+// Cambios hechos por los admins (cache de 1 minuto)
+const EMAIL_TEMPLATE_CACHE_MS = 60 * 1000;
+let emailTemplateOverrides = { at: 0, rows: new Map() };
+
+async function getEmailTemplateOverrides() {
+  if (Date.now() - emailTemplateOverrides.at < EMAIL_TEMPLATE_CACHE_MS) {
+    return emailTemplateOverrides.rows;
+  }
+  const { data, error } = await supabase
+    .from("email_templates")
+    .select("key, lang, subject, text, html, updated_by, updated_at");
+  if (error) {
+    console.error("Error leyendo email_templates (uso las de fábrica):", error);
+    return emailTemplateOverrides.rows;
+  }
+  emailTemplateOverrides = {
+    at: Date.now(),
+    rows: new Map((data || []).map((r) => [templateOverrideKey(r.key, r.lang), r])),
+  };
+  return emailTemplateOverrides.rows;
+}
+
+function templateOverrideKey(key, lang) {
+  return `${key}:${normalizeLanguage(lang) || DEFAULT_EMAIL_LANGUAGE}`;
+}
+
+// Versión de fábrica de una plantilla en un idioma (null si no hay)
+function templateDefaults(def, lang) {
+  if (lang === DEFAULT_EMAIL_LANGUAGE) return def;
+  return def.translations?.[lang] || null;
+}
+
+// Lo que se usa para un idioma:
+// editada en ese idioma > traducción de fábrica > castellano (editada > fábrica)
+function resolveTemplateSource(def, key, lang, overrides) {
+  const candidates = [
+    [overrides.get(templateOverrideKey(key, lang)), lang],
+    [templateDefaults(def, lang), lang],
+    [overrides.get(templateOverrideKey(key, DEFAULT_EMAIL_LANGUAGE)), DEFAULT_EMAIL_LANGUAGE],
+    [def, DEFAULT_EMAIL_LANGUAGE],
+  ];
+  const [source, sourceLang] = candidates.find(([s]) => s);
+  return { source, lang: sourceLang };
+}
+
+// Variables usadas en un texto que la plantilla no declara
+function unknownTemplateVars(def, ...parts) {
+  const used = new Set();
+  for (const part of parts) {
+    for (const m of String(part || "").matchAll(/\{\{\s*[#^/]?\s*(\w+)\s*\}\}/g)) {
+      used.add(m[1]);
+    }
+  }
+  return [...used].filter((v) => !(v in def.vars));
+}
+
+// Devuelve { subject, text, html, lang }. draft = { subject?, text?, html? }
+// para previsualizar cambios sin guardarlos. lang = idioma pedido; el
+// devuelto es el que se usó de verdad (castellano si no había traducción).
+async function renderEmail(key, vars = {}, draft = null, lang = DEFAULT_EMAIL_LANGUAGE) {
+  const def = EMAIL_TEMPLATES[key];
+  if (!def) throw new Error(`Plantilla de email inexistente: ${key}`);
+
+  const wanted = normalizeLanguage(lang) || DEFAULT_EMAIL_LANGUAGE;
+  const resolved = resolveTemplateSource(def, key, wanted, await getEmailTemplateOverrides());
+  // Un borrador con texto propio es del idioma pedido
+  const usedLang = draft?.text !== undefined ? wanted : resolved.lang;
+  const locale = EMAIL_LOCALES[usedLang];
+
+  // draft > versión elegida (html null = diseño común)
+  const pick = (field) => {
+    if (draft && draft[field] !== undefined) return draft[field];
+    return resolved.source[field] ?? null;
+  };
+
+  const subject = renderTemplateString(pick("subject"), vars, def.vars, false, locale)
+    .replace(/\s+/g, " ")
+    .trim();
+  const text = renderTemplateString(pick("text"), vars, def.vars, false, locale);
+  const htmlTpl = pick("html");
+  const html = htmlTpl
+    ? renderTemplateString(htmlTpl, vars, def.vars, true, locale)
+    : emailLayout(escapeHtml(text).replace(/\n/g, "<br/>\n"), usedLang);
+
+  return { subject, text, html, lang: usedLang };
+}
+
+// Manda una plantilla. opts: { to, cc?, vars, lang? }
+async function sendTemplateEmail(key, { to, cc, vars = {}, lang }) {
+  if (!to) return;
+  let mail;
+  try {
+    mail = await renderEmail(key, vars, null, lang);
+  } catch (err) {
+    console.error(`Error armando mail ${key}:`, err);
+    return;
+  }
+  await sendNotificationEmail(to, mail.subject, mail.text, {
+    html: mail.html,
+    cc,
+    templateKey: key,
+  });
+}
+
+// ADMIN — plantillas de email
+// Todas aceptan ?lang=es|en|pt|it (default es)
+function templateLangParam(value) {
+  if (value == null || value === "") return DEFAULT_EMAIL_LANGUAGE;
+  return normalizeLanguage(value);
+}
+
+const BAD_LANG_MSG = `Idioma no soportado. Opciones: ${EMAIL_LANGUAGES.join(", ")}.`;
+
+// GET /admin/email-templates
+app.get("/admin/email-templates", requireCampusAdmin, async (req, res) => {
+  try {
+    const overrides = await getEmailTemplateOverrides();
+    const templates = Object.entries(EMAIL_TEMPLATES).map(([key, def]) => {
+      const customized = EMAIL_LANGUAGES.filter((l) =>
+        overrides.has(templateOverrideKey(key, l))
+      );
+      return {
+        key,
+        description: def.description,
+        vars: def.vars,
+        languages: EMAIL_LANGUAGES.filter((l) => templateDefaults(def, l)),
+        customized,
+        updated_at:
+          customized
+            .map((l) => overrides.get(templateOverrideKey(key, l)).updated_at)
+            .sort()
+            .pop() || null,
+      };
+    });
+    return res.json({ ok: true, languages: EMAIL_LANGUAGES, templates });
+  } catch (err) {
+    console.error("Error /admin/email-templates:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// GET /admin/email-templates/:key?lang=
+app.get("/admin/email-templates/:key", requireCampusAdmin, async (req, res) => {
+  try {
+    const key = req.params.key;
+    const def = EMAIL_TEMPLATES[key];
+    if (!def) {
+      return res.status(404).json({ ok: false, msg: "Plantilla inexistente" });
+    }
+    const lang = templateLangParam(req.query.lang);
+    if (!lang) return res.json({ ok: false, msg: BAD_LANG_MSG });
+
+    const overrides = await getEmailTemplateOverrides();
+    const override = overrides.get(templateOverrideKey(key, lang)) || null;
+    // Sin traducción de fábrica el punto de partida es el castellano
+    const base = templateDefaults(def, lang) || def;
+    return res.json({
+      ok: true,
+      template: {
+        key,
+        lang,
+        description: def.description,
+        vars: def.vars,
+        sample: def.sample,
+        subject: override?.subject ?? base.subject,
+        text: override?.text ?? base.text,
+        html: override ? override.html ?? null : base.html ?? null,
+        translated: !!templateDefaults(def, lang),
+        customized: !!override,
+      },
+      default: { subject: base.subject, text: base.text, html: base.html ?? null },
+    });
+  } catch (err) {
+    console.error("Error /admin/email-templates/:key:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// PUT /admin/email-templates/:key?lang=
+// Body: { subject, text, html? }  (html null = diseño común)
+app.put("/admin/email-templates/:key", requireCampusAdmin, async (req, res) => {
+  try {
+    const key = req.params.key;
+    const def = EMAIL_TEMPLATES[key];
+    if (!def) {
+      return res.status(404).json({ ok: false, msg: "Plantilla inexistente" });
+    }
+    const lang = templateLangParam(req.query.lang);
+    if (!lang) return res.json({ ok: false, msg: BAD_LANG_MSG });
+
+    const { subject, text, html = null } = req.body || {};
+    if (!String(subject || "").trim() || !String(text || "").trim()) {
+      return res.json({ ok: false, msg: "Faltan subject o text." });
+    }
+
+    const unknown = unknownTemplateVars(def, subject, text, html);
+    if (unknown.length) {
+      return res.json({
+        ok: false,
+        msg: `Variables desconocidas: ${unknown.join(", ")}. Disponibles: ${Object.keys(def.vars).join(", ") || "ninguna"}.`,
+      });
+    }
+
+    const preview = await renderEmail(key, def.sample, { subject, text, html }, lang);
+    if (/\{\{/.test(preview.subject + preview.text + (html ? preview.html : ""))) {
+      return res.json({ ok: false, msg: "Hay un bloque {{#...}} sin cerrar." });
+    }
+
+    const before = (await getEmailTemplateOverrides()).get(templateOverrideKey(key, lang)) || null;
+    const row = {
+      key,
+      lang,
+      subject,
+      text,
+      html: html || null,
+      updated_by: req.user.id,
+      updated_at: new Date().toISOString(),
+    };
+
+    const { error } = await supabase
+      .from("email_templates")
+      .upsert(row, { onConflict: "key,lang" });
+    if (error) {
+      console.error("Error guardando plantilla:", error);
+      return res.json({ ok: false, msg: "No se pudo guardar la plantilla" });
+    }
+
+    emailTemplateOverrides.at = 0;
+
+    await auditLog(req, {
+      action: "email_template.update",
+      targetType: "email_template",
+      targetId: templateOverrideKey(key, lang),
+      before,
+      after: row,
+    });
+
+    return res.json({ ok: true, preview });
+  } catch (err) {
+    console.error("Error PUT /admin/email-templates/:key:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// DELETE /admin/email-templates/:key?lang= -> vuelve a la versión de fábrica
+app.delete("/admin/email-templates/:key", requireCampusAdmin, async (req, res) => {
+  try {
+    const key = req.params.key;
+    if (!EMAIL_TEMPLATES[key]) {
+      return res.status(404).json({ ok: false, msg: "Plantilla inexistente" });
+    }
+    const lang = templateLangParam(req.query.lang);
+    if (!lang) return res.json({ ok: false, msg: BAD_LANG_MSG });
+
+    const before = (await getEmailTemplateOverrides()).get(templateOverrideKey(key, lang)) || null;
+    const { error } = await supabase
+      .from("email_templates")
+      .delete()
+      .eq("key", key)
+      .eq("lang", lang);
+    if (error) {
+      console.error("Error borrando plantilla:", error);
+      return res.json({ ok: false, msg: "No se pudo restaurar la plantilla" });
+    }
+
+    emailTemplateOverrides.at = 0;
+
+    await auditLog(req, {
+      action: "email_template.reset",
+      targetType: "email_template",
+      targetId: templateOverrideKey(key, lang),
+      before,
+    });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("Error DELETE /admin/email-templates/:key:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// POST /admin/email-templates/:key/preview?lang=
+// Body: { vars?, subject?, text?, html? } -> vars se mezclan con el ejemplo
+app.post("/admin/email-templates/:key/preview", requireCampusAdmin, async (req, res) => {
+  try {
+    const key = req.params.key;
+    const def = EMAIL_TEMPLATES[key];
+    if (!def) {
+      return res.status(404).json({ ok: false, msg: "Plantilla inexistente" });
+    }
+    const lang = templateLangParam(req.query.lang);
+    if (!lang) return res.json({ ok: false, msg: BAD_LANG_MSG });
+
+    const { vars = {}, subject, text, html } = req.body || {};
+    const unknown = unknownTemplateVars(def, subject, text, html);
+    if (unknown.length) {
+      return res.json({ ok: false, msg: `Variables desconocidas: ${unknown.join(", ")}.` });
+    }
+
+    const preview = await renderEmail(
+      key,
+      { ...def.sample, ...vars },
+      { subject, text, html },
+      lang
+    );
+    return res.json({ ok: true, preview });
+  } catch (err) {
+    console.error("Error /admin/email-templates/:key/preview:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+// ============================
+// OUTBOX DE EMAILS
+// ============================
+// Todo mail pasa primero por la tabla email_outbox (Supabase):
+//   id bigserial, to_email text, cc text NULL, subject text, text text,
+//   html text NULL, template_key text NULL,
+//   status text          -> pending | sending | sent | failed
+//   attempts int, last_error text NULL,
+//   next_attempt_at timestamptz, sent_at timestamptz NULL,
+//   created_at, updated_at
+// Si el SMTP falla se reintenta con espera exponencial
+// (EMAIL_RETRY_BASE_SEC * 2^(intentos-1), tope EMAIL_RETRY_MAX_SEC);
+// después de EMAIL_MAX_ATTEMPTS queda "failed" para reenviar a mano.
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 6);
+const EMAIL_RETRY_BASE_SEC = Number(process.env.EMAIL_RETRY_BASE_SEC || 60);
+const EMAIL_RETRY_MAX_SEC = Number(process.env.EMAIL_RETRY_MAX_SEC || 6 * 60 * 60);
+const EMAIL_OUTBOX_POLL_MS = 30 * 1000;
+const EMAIL_OUTBOX_BATCH = 20;
+// Un "sending" más viejo que esto es de una instancia que se cayó a mitad
+const EMAIL_SENDING_STALE_MS = 10 * 60 * 1000;
+const EMAIL_OUTBOX_STATUSES = ["pending", "sending", "sent", "failed"];
+
+function emailRetryDelayMs(attempts) {
+  const sec = EMAIL_RETRY_BASE_SEC * 2 ** Math.max(attempts - 1, 0);
+  return Math.min(sec, EMAIL_RETRY_MAX_SEC) * 1000;
+}
+
+// Guarda el mail y hace el primer intento. Si la tabla no responde lo
+// manda igual directo, para no perderlo.
+async function queueEmail({ to, cc, subject, text, html, templateKey }) {
+  const now = new Date().toISOString();
+  const { data: row, error } = await supabase
+    .from("email_outbox")
+    .insert({
+      to_email: Array.isArray(to) ? to.join(", ") : to,
+      cc: (Array.isArray(cc) ? cc.join(", ") : cc) || null,
+      subject,
+      text,
+      html: html || null,
+      template_key: templateKey || null,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error("Error guardando mail en email_outbox (mando directo):", error);
+    await transporter.sendMail({
+      from: FROM_EMAIL,
+      to,
+      cc: cc || undefined,
+      subject,
+      text,
+      html: html || undefined,
+    });
+    return null;
+  }
+
+  return deliverOutboxEmail(row);
+}
+
+// pending -> sending. null si otra instancia ya lo tomó.
+async function claimOutboxEmail(id) {
+  const { data, error } = await supabase
+    .from("email_outbox")
+    .update({ status: "sending", updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("status", "pending")
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Un intento de envío; deja el resultado en la fila y la devuelve
+async function deliverOutboxEmail(row) {
+  const claimed = await claimOutboxEmail(row.id);
+  if (!claimed) return null;
+
+  const attempts = (claimed.attempts || 0) + 1;
+  let update;
+  try {
+    await transporter.sendMail({
+      from: FROM_EMAIL,
+      to: claimed.to_email,
+      cc: claimed.cc || undefined,
+      subject: claimed.subject,
+      text: claimed.text,
+      html: claimed.html || undefined,
+    });
+    update = { status: "sent", attempts, last_error: null, sent_at: new Date().toISOString() };
+  } catch (err) {
+    const giveUp = attempts >= EMAIL_MAX_ATTEMPTS;
+    console.error(
+      `[email outbox] falló el envío #${claimed.id} (intento ${attempts}/${EMAIL_MAX_ATTEMPTS}):`,
+      err?.message || err
+    );
+    update = {
+      status: giveUp ? "failed" : "pending",
+      attempts,
+      last_error: String(err?.message || err).slice(0, 1000),
+      next_attempt_at: giveUp
+        ? claimed.next_attempt_at
+        : new Date(Date.now() + emailRetryDelayMs(attempts)).toISOString(),
+    };
+  }
+
+  const { data, error } = await supabase
+    .from("email_outbox")
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq("id", claimed.id)
+    .select()
+    .maybeSingle();
+  if (error) {
+    console.error("Error actualizando email_outbox:", error);
+    return { ...claimed, ...update };
+  }
+  return data;
+}
+
+// Reintenta los pendientes que ya cumplieron la espera.
+// Devuelve { sent, failed, retrying }.
+let emailOutboxRunning = false;
+
+async function processEmailOutbox() {
+  if (emailOutboxRunning) return { sent: 0, failed: 0, retrying: 0, busy: true };
+  emailOutboxRunning = true;
+
+  try {
+    const staleBefore = new Date(Date.now() - EMAIL_SENDING_STALE_MS).toISOString();
+    const { error: staleErr } = await supabase
+      .from("email_outbox")
+      .update({ status: "pending", updated_at: new Date().toISOString() })
+      .eq("status", "sending")
+      .lt("updated_at", staleBefore);
+    if (staleErr) throw staleErr;
+
+    const { data: due, error } = await supabase
+      .from("email_outbox")
+      .select("*")
+      .eq("status", "pending")
+      .lte("next_attempt_at", new Date().toISOString())
+      .order("next_attempt_at", { ascending: true })
+      .limit(EMAIL_OUTBOX_BATCH);
+    if (error) throw error;
+
+    const result = { sent: 0, failed: 0, retrying: 0 };
+    for (const row of due || []) {
+      const done = await deliverOutboxEmail(row);
+      if (!done) continue;
+      if (done.status === "sent") result.sent++;
+      else if (done.status === "failed") result.failed++;
+      else result.retrying++;
+    }
+    return result;
+  } finally {
+    emailOutboxRunning = false;
+  }
+}
+
+setInterval(() => {
+  processEmailOutbox().catch((e) => console.error("[email outbox error]", e));
+}, EMAIL_OUTBOX_POLL_MS);
+
+// Vuelve a poner en cola (intentos desde cero) y hace un intento ya
+async function resendOutboxEmail(row) {
+  const { data, error } = await supabase
+    .from("email_outbox")
+    .update({
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", row.id)
+    .in("status", ["pending", "failed"])
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return (await deliverOutboxEmail(data)) || data;
+}
+
+const OUTBOX_LIST_COLUMNS =
+  "id, to_email, cc, subject, template_key, status, attempts, last_error, next_attempt_at, sent_at, created_at, updated_at";
+
+// ADMIN — outbox
+// GET /admin/email-outbox?status=failed,pending&to=&template=&q=&from=YYYY-MM-DD&to_date=YYYY-MM-DD&limit=&offset=
+// q busca en el asunto. Devuelve también el total por estado.
+app.get("/admin/email-outbox", requireCampusAdmin, async (req, res) => {
+  try {
+    const { status, to, template, q, from, to_date, limit, offset } = req.query || {};
+
+    const statuses = String(status || "")
+      .split(",")
+      .map((s) => s.trim().toLowerCase())
+      .filter(Boolean);
+    const badStatus = statuses.filter((s) => !EMAIL_OUTBOX_STATUSES.includes(s));
+    if (badStatus.length) {
+      return res.json({
+        ok: false,
+        msg: `Estado inválido: ${badStatus.join(", ")}. Opciones: ${EMAIL_OUTBOX_STATUSES.join(", ")}.`,
+      });
+    }
+
+    const max = Math.min(Number(limit) || 50, 500);
+    const skip = Math.max(Number(offset) || 0, 0);
+
+    let query = supabase
+      .from("email_outbox")
+      .select(OUTBOX_LIST_COLUMNS, { count: "exact" });
+
+    if (statuses.length) query = query.in("status", statuses);
+    if (to) query = query.ilike("to_email", `%${String(to).trim()}%`);
+    if (template) query = query.eq("template_key", template);
+    if (q) query = query.ilike("subject", `%${String(q).trim()}%`);
+    if (from) query = query.gte("created_at", new Date(from).toISOString());
+    if (to_date) {
+      // inclusive: hasta el final de ese día
+      const end = new Date(to_date);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query = query.lt("created_at", end.toISOString());
+    }
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(skip, skip + max - 1);
+
+    if (error) {
+      console.error("Error /admin/email-outbox:", error);
+      return res.json({ ok: false, msg: "Error consultando el outbox" });
+    }
+
+    const totals = {};
+    for (const s of EMAIL_OUTBOX_STATUSES) {
+      const { count: n, error: cErr } = await supabase
+        .from("email_outbox")
+        .select("id", { count: "exact", head: true })
+        .eq("status", s);
+      if (cErr) {
+        console.error("Error contando email_outbox:", cErr);
+        break;
+      }
+      totals[s] = n || 0;
+    }
+
+    return res.json({ ok: true, total: count ?? null, totals, emails: data || [] });
+  } catch (err) {
+    console.error("Error general /admin/email-outbox:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// GET /admin/email-outbox/:id -> con texto y HTML
+app.get("/admin/email-outbox/:id", requireCampusAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .select("*")
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error /admin/email-outbox/:id:", error);
+      return res.json({ ok: false, msg: "Error consultando el outbox" });
+    }
+    if (!data) {
+      return res.status(404).json({ ok: false, msg: "Mail inexistente" });
+    }
+
+    return res.json({ ok: true, email: data });
+  } catch (err) {
+    console.error("Error general /admin/email-outbox/:id:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// POST /admin/email-outbox/:id/resend -> solo failed o pending
+app.post("/admin/email-outbox/:id/resend", requireCampusAdmin, async (req, res) => {
+  try {
+    const { data: before, error } = await supabase
+      .from("email_outbox")
+      .select(OUTBOX_LIST_COLUMNS)
+      .eq("id", req.params.id)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error buscando mail para reenviar:", error);
+      return res.json({ ok: false, msg: "Error consultando el outbox" });
+    }
+    if (!before) {
+      return res.status(404).json({ ok: false, msg: "Mail inexistente" });
+    }
+    if (!["pending", "failed"].includes(before.status)) {
+      return res.json({
+        ok: false,
+        msg: before.status === "sent" ? "Ese mail ya fue enviado." : "Ese mail se está enviando.",
+      });
+    }
+
+    const email = await resendOutboxEmail(before);
+    if (!email) {
+      return res.json({ ok: false, msg: "El mail cambió de estado, probá de nuevo." });
+    }
+
+    await auditLog(req, {
+      action: "email_outbox.resend",
+      targetType: "email_outbox",
+      targetId: before.id,
+      before: { status: before.status, attempts: before.attempts, last_error: before.last_error },
+      after: { status: email.status, attempts: email.attempts, last_error: email.last_error ?? null },
+    });
+
+    const { text, html, ...summary } = email;
+    return res.json({ ok: email.status === "sent", email: summary, msg: email.last_error || undefined });
+  } catch (err) {
+    console.error("Error general /admin/email-outbox/:id/resend:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// POST /admin/email-outbox/resend-failed
+// Body: { ids?: [..] } -> sin ids, todos los "failed" (hasta 200)
+app.post("/admin/email-outbox/resend-failed", requireCampusAdmin, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.filter(Boolean) : null;
+
+    let query = supabase
+      .from("email_outbox")
+      .select(OUTBOX_LIST_COLUMNS)
+      .eq("status", "failed")
+      .order("created_at", { ascending: true })
+      .limit(200);
+    if (ids) query = query.in("id", ids);
+
+    const { data: failed, error } = await query;
+    if (error) {
+      console.error("Error buscando mails fallidos:", error);
+      return res.json({ ok: false, msg: "Error consultando el outbox" });
+    }
+
+    const result = { sent: 0, failed: 0, retrying: 0 };
+    for (const row of failed || []) {
+      const email = await resendOutboxEmail(row);
+      if (!email) continue;
+      if (email.status === "sent") result.sent++;
+      else if (email.status === "failed") result.failed++;
+      else result.retrying++;
+    }
+
+    await auditLog(req, {
+      action: "email_outbox.resend_failed",
+      targetType: "email_outbox",
+      targetId: ids ? ids.join(",") : "all",
+      after: { total: (failed || []).length, ...result },
+    });
+
+    return res.json({ ok: true, total: (failed || []).length, ...result });
+  } catch (err) {
+    console.error("Error general /admin/email-outbox/resend-failed:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+
+// ============================
+// HEALTHCHECK
+// ============================
+app.get("/health", (req, res) => {
+  res.json({ ok: true, message: "PauPau backend OK" });
+});
+
+// =====================================================
+// ================== CUPÓN / MP GENÉRICO ===============
+// =====================================================
+
+// ============================
+// MOTOR DE CUPONES
+// ============================
+// Tabla coupons:
+//   code, active, valid_from, valid_to,
+//   discount_percent   -> descuento porcentual (0-100)
+//   discount_amount    -> descuento fijo (tiene prioridad sobre el %)
+//   min_amount         -> monto mínimo de compra
+//   currency char(3)   -> moneda de discount_amount y min_amount
+//                         (null = ARS); no aplica a pagos en otra moneda
+//   max_uses           -> usos totales (null = sin límite)
+//   used_count int     -> canjes aprobados; se incrementa con un update
+//                         condicional al aprobarse el pago
+//   max_uses_per_email -> usos por email (null = sin límite)
+//   programs           -> text[] de programas permitidos (null = todos)
+//   modalidades        -> text[] de modalidades permitidas (null = todas)
+//
+// Tabla coupon_redemptions (se escribe SOLO con pagos aprobados):
+//   coupon_id, code, email, mp_payment_id (unique),
+//   amount_before, discount, amount_after, redeemed_at,
+//   over_limit boolean (el pago se aprobó con el cupón ya agotado)
+//
+// Migración:
+//   ALTER TABLE coupons ADD COLUMN currency char(3),
+//     ADD COLUMN used_count int NOT NULL DEFAULT 0;
+//   UPDATE coupons c SET used_count = (
+//     SELECT count(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id);
+//   ALTER TABLE coupon_redemptions
+//     ADD COLUMN over_limit boolean NOT NULL DEFAULT false;
+
+function normalizeCouponCode(code) {
+  return String(code || "").trim();
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+async function countCouponRedemptions(couponId, email) {
+  let query = supabase
+    .from("coupon_redemptions")
+    .select("id", { count: "exact", head: true })
+    .eq("coupon_id", couponId);
+
+  if (email) {
+    query = query.eq("email", email);
+  }
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// Evalúa un cupón contra una compra concreta.
+// Devuelve { ok: false, msg } o { ok: true, coupon, discount, final_amount, ... }
+// "amount" es opcional: sin monto no se puede calcular el descuento fijo ni
+// validar el mínimo, pero sí el resto de las reglas.
+async function evaluateCoupon({ code, email, amount, currency = "ARS", programa, modalidad }) {
+  const cleanCode = normalizeCouponCode(code);
+  if (!cleanCode) {
+    return { ok: false, msg: "Falta código de cupón" };
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: coupon, error } = await supabase
+    .from("coupons")
+    .select("*")
+    .eq("code", cleanCode)
+    .eq("active", true)
+    .lte("valid_from", now)
+    .gte("valid_to", now)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!coupon) {
+    return { ok: false, msg: "Cupón no válido o inactivo" };
+  }
+
+  const prog = String(programa || "").toLowerCase();
+  const mod = String(modalidad || "").toLowerCase();
+
+  if (Array.isArray(coupon.programs) && coupon.programs.length) {
+    const allowed = coupon.programs.map((p) => String(p).toLowerCase());
+    if (!prog || !allowed.includes(prog)) {
+      return { ok: false, msg: "El cupón no aplica a este programa" };
+    }
+  }
+
+  if (Array.isArray(coupon.modalidades) && coupon.modalidades.length) {
+    const allowed = coupon.modalidades.map((m) => String(m).toLowerCase());
+    if (!mod || !allowed.includes(mod)) {
+      return { ok: false, msg: "El cupón no aplica a esta modalidad" };
+    }
+  }
+
+  const hasAmount = typeof amount === "number" && amount > 0;
+  const minAmount = Number(coupon.min_amount || 0);
+  const fixedDiscount = Number(coupon.discount_amount || 0);
+  const couponCurrency = coupon.currency || "ARS";
+
+  // Los montos fijos del cupón están en su moneda
+  if ((fixedDiscount > 0 || minAmount > 0) && couponCurrency !== currency) {
+    return { ok: false, msg: `El cupón solo aplica a pagos en ${couponCurrency}` };
+  }
+
+  if (hasAmount && minAmount > 0 && amount < minAmount) {
+    return {
+      ok: false,
+      msg: `El cupón requiere una compra mínima de $${minAmount}`,
+    };
+  }
+
+  if (coupon.max_uses != null) {
+    if (Number(coupon.used_count || 0) >= Number(coupon.max_uses)) {
+      return { ok: false, msg: "El cupón alcanzó su límite de usos" };
+    }
+  }
+
+  const cleanEmail = normalizeEmail(email);
+
+  if (coupon.max_uses_per_email != null) {
+    if (!cleanEmail) {
+      return { ok: false, msg: "Ingresá tu email para usar este cupón" };
+    }
+    const usedByEmail = await countCouponRedemptions(coupon.id, cleanEmail);
+    if (usedByEmail >= Number(coupon.max_uses_per_email)) {
+      return { ok: false, msg: "Ya usaste este cupón el máximo de veces" };
+    }
+  }
+
+  const discountAmount = fixedDiscount;
+  const discountPercent = discountAmount > 0 ? 0 : Number(coupon.discount_percent || 0);
+
+  let discount = null;
+  let finalAmount = null;
+
+  if (hasAmount) {
+    discount =
+      discountAmount > 0 ? discountAmount : amount * (discountPercent / 100);
+    discount = Math.min(Number(discount.toFixed(2)), amount);
+    finalAmount = Number((amount - discount).toFixed(2));
+  }
+
+  return {
+    ok: true,
+    coupon,
+    discount_percent: discountPercent,
+    discount_amount: discountAmount,
+    discount,
+    final_amount: finalAmount,
+  };
+}
+
+// Metadata que viaja en la preferencia para poder registrar el canje
+// cuando llegue el pago aprobado.
+function couponMetadata(result, email, amountBefore) {
+  if (!result?.ok) return {};
+  return {
+    coupon_code: result.coupon.code,
+    coupon_id: result.coupon.id,
+    coupon_email: normalizeEmail(email) || null,
+    coupon_amount_before: amountBefore,
+    coupon_discount: result.discount,
+  };
+}
+
+// Suma un uso al cupón si le quedan: update condicional sobre used_count,
+// así dos pagos aprobados a la vez no pasan los dos con el último uso.
+// Devuelve { ok, coupon } (ok=false si ya estaba agotado).
+async function claimCouponUse(couponId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: coupon, error } = await supabase
+      .from("coupons")
+      .select("id, code, max_uses, used_count")
+      .eq("id", couponId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!coupon) return { ok: true, coupon: null };
+
+    const used = Number(coupon.used_count || 0);
+    if (coupon.max_uses != null && used >= Number(coupon.max_uses)) {
+      return { ok: false, coupon };
+    }
+
+    const { data, error: upErr } = await supabase
+      .from("coupons")
+      .update({ used_count: used + 1 })
+      .eq("id", couponId)
+      .eq("used_count", used)
+      .select("id");
+    if (upErr) throw upErr;
+    if (data?.length) return { ok: true, coupon };
+  }
+  throw new Error(`No se pudo sumar el uso del cupón ${couponId}`);
+}
+
+// Registra el canje de un cupón para un pago de MP (objeto leído de la API).
+// Solo cuenta pagos aprobados y es idempotente por mp_payment_id
+// (MP reintenta las notificaciones): el uso se suma solo la primera vez.
+async function recordCouponRedemption(payment) {
+  const paymentId = payment?.id;
+  const meta = payment?.metadata;
+  if (!paymentId || !meta?.coupon_code) return;
+  if (payment.status !== "approved") return;
+
+  try {
+    const amountAfter =
+      payment.transaction_amount != null
+        ? Number(payment.transaction_amount)
+        : null;
+
+    const { data: inserted, error } = await supabase.from("coupon_redemptions").upsert(
+      {
+        coupon_id: meta.coupon_id || null,
+        code: meta.coupon_code,
+        email: normalizeEmail(meta.coupon_email || meta.alumno_email) || null,
+        mp_payment_id: String(paymentId),
+        amount_before:
+          meta.coupon_amount_before != null
+            ? Number(meta.coupon_amount_before)
+            : null,
+        discount:
+          meta.coupon_discount != null ? Number(meta.coupon_discount) : null,
+        amount_after: amountAfter,
+        redeemed_at: new Date().toISOString(),
+      },
+      {
+        onConflict: "mp_payment_id",
+        ignoreDuplicates: true,
+      }
+    ).select("id");
+
+    if (error) {
+      console.error("Error registrando canje de cupón:", error);
+      return;
+    }
+    if (!inserted?.length || !meta.coupon_id) return;
+
+    const claim = await claimCouponUse(meta.coupon_id);
+    if (claim.ok) return;
+
+    // El pago ya está aprobado: queda registrado y se avisa a la academia
+    await supabase
+      .from("coupon_redemptions")
+      .update({ over_limit: true })
+      .eq("mp_payment_id", String(paymentId));
+
+    await sendTemplateEmail("coupon.over_limit", {
+      to: ACADEMY_EMAIL,
+      vars: {
+        code: meta.coupon_code,
+        payment_id: String(paymentId),
+        email: normalizeEmail(meta.coupon_email || meta.alumno_email),
+        max_uses: claim.coupon.max_uses,
+        discount: `${meta.coupon_discount ?? "-"} ${payment.currency_id || ""}`.trim(),
+      },
+    });
+  } catch (err) {
+    console.error("Error recordCouponRedemption:", err);
+  }
+}
+
+// CUPÓN — VERIFICAR
+// Body: { code: "nachoprueba", email?, amount?, currency?, programa?, modalidad? }
+app.post("/coupon/apply", async (req, res) => {
+  try {
+    const { code, email, amount, currency, programa, modalidad } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ ok: false, msg: "Falta código de cupón" });
+    }
+
+    const amountNumber =
+      amount != null && amount !== "" ? Number(amount) : undefined;
+
+    const result = await evaluateCoupon({
+      code,
+      email,
+      amount: amountNumber,
+      currency: currency ? String(currency).toUpperCase() : "ARS",
+      programa,
+      modalidad,
+    });
+
+    if (!result.ok) {
+      return res.json({ ok: false, msg: result.msg });
+    }
+
+    return res.json({
+      ok: true,
+      discount_percent: result.discount_percent,
+      discount_amount: result.discount_amount,
+      discount: result.discount,
+      final_amount: result.final_amount,
+      coupon: result.coupon,
+    });
+  } catch (err) {
+    console.error("Error /coupon/apply:", err);
+    return res.status(500).json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// ============================
+// REGISTRO DE PAGOS GENÉRICOS
+// ============================
+// Tabla generic_payments (Supabase), una fila por preferencia:
+//   id, external_reference (unique), preference_id, mp_payment_id,
+//   title, quantity, amount_before, discount, final_amount, currency,
+//   coupon_code, coupon_id, buyer_email, buyer_name,
+//   status        -> 'created' | 'failed' (MP no creó la preferencia) |
+//                    estado de MP (approved, rejected, refunded, ...)
+//   status_detail, paid_amount, paid_at, created_at, updated_at
+
+// URL pública de este backend (para notification_url de MP)
+const BACKEND_URL = (process.env.BACKEND_URL || "").replace(/\/+$/, "");
+
+// Actualiza la fila de generic_payments con el estado REAL del pago en MP
+async function syncGenericPayment(payment) {
+  const ref = payment?.external_reference;
+  if (!ref) return;
+
+  const { error } = await supabase
+    .from("generic_payments")
+    .update({
+      mp_payment_id: String(payment.id),
+      status: payment.status || null,
+      status_detail: payment.status_detail || null,
+      paid_amount:
+        payment.transaction_amount != null
+          ? Number(payment.transaction_amount)
+          : null,
+      paid_at: payment.date_approved || null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq("external_reference", ref);
+
+  if (error) throw error;
+
+  await recordCouponRedemption(payment);
+}
+
+// Pagos que no son inscripciones se identifican por metadata.origen.
+// Devuelve true si el pago se procesó acá.
+async function syncPaymentByOrigen(payment) {
+  const origen = payment?.metadata?.origen;
+  if (origen === "generic") {
+    await syncGenericPayment(payment);
+    return true;
+  }
+  if (origen === "campus") {
+    await syncCampusPayment(payment);
+    return true;
+  }
+  return false;
+}
+
+// MP – CREAR PREFERENCIA GENÉRICA (NO INSCRIPCIONES)
+// Body: { title, quantity, unit_price, coupon_code?, email?, name?, back_url_* }
+const createGenericPreferenceHandler = async (req, res) => {
+  try {
+    const {
+      title,
+      quantity,
+      unit_price,
+      back_url_success,
+      back_url_failure,
+      coupon_code,
+      email,
+      name,
+    } = req.body || {};
+
+    if (!title || !quantity || !unit_price) {
+      return res
+        .status(400)
+        .json({ ok: false, msg: "Faltan campos en la preferencia" });
+    }
+
+    const baseAmount = unit_price * quantity;
+    let finalAmount = baseAmount;
+    let discountPercent = 0;
+    let couponData = null;
+    let couponMeta = {};
+
+    if (coupon_code) {
+      const result = await evaluateCoupon({
+        code: coupon_code,
+        email,
+        amount: baseAmount,
+        currency: "ARS",
+      });
+
+      if (!result.ok) {
+        return res.status(400).json({ ok: false, msg: result.msg });
+      }
+
+      discountPercent = result.discount_percent;
+      couponData = result.coupon;
+      finalAmount = result.final_amount;
+      couponMeta = couponMetadata(result, email, baseAmount);
+    }
+
+    const externalReference = uuid();
+
+    const { error: ledgerErr } = await supabase.from("generic_payments").insert({
+      external_reference: externalReference,
+      title,
+      quantity,
+      amount_before: baseAmount,
+      discount: Number((baseAmount - finalAmount).toFixed(2)),
+      final_amount: Number(finalAmount.toFixed(2)),
+      currency: "ARS",
+      coupon_code: couponMeta.coupon_code || null,
+      coupon_id: couponMeta.coupon_id || null,
+      buyer_email: normalizeEmail(email) || null,
+      buyer_name: name ? String(name).trim() : null,
+      status: "created",
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    });
+
+    if (ledgerErr) {
+      console.error("Error registrando pago genérico:", ledgerErr);
+      return res.status(500).json({ ok: false, msg: "Error interno" });
+    }
+
+    const preference = {
+      items: [
+        {
+          title,
+          quantity: 1,
+          unit_price: Number(finalAmount.toFixed(2)),
+          currency_id: "ARS",
+        },
+      ],
+      back_urls: {
+        success: back_url_success || "https://paupaulanguages.com",
+        failure: back_url_failure || "https://paupaulanguages.com",
+      },
+      auto_return: "approved",
+      external_reference: externalReference,
+      metadata: { ...couponMeta, origen: "generic" },
+    };
+
+    if (BACKEND_URL) {
+      preference.notification_url = `${BACKEND_URL}/mp/webhook`;
+    }
+
+    if (email) {
+      preference.payer = { email: String(email).trim() };
+    }
+
+    let result;
+    try {
+      result = await mercadopago.preferences.create(preference);
+    } catch (mpErr) {
+      console.error("Error creando preferencia MP genérica:", mpErr);
+      const { error: failErr } = await supabase
+        .from("generic_payments")
+        .update({
+          status: "failed",
+          status_detail: String(mpErr?.message || mpErr).slice(0, 500),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("external_reference", externalReference);
+      if (failErr) console.error("Error marcando pago genérico fallido:", failErr);
+      return res
+        .status(502)
+        .json({ ok: false, msg: "No se pudo crear el pago en Mercado Pago" });
+    }
+
+    await supabase
+      .from("generic_payments")
+      .update({
+        preference_id: result.body.id,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("external_reference", externalReference)
+      .then(({ error }) => {
+        if (error) console.error("Error guardando preference_id:", error);
+      });
+
+    return res.json({
+      ok: true,
+      id: result.body.id,
+      init_point: result.body.init_point,
+      sandbox_init_point: result.body.sandbox_init_point,
+      final_amount: finalAmount,
+      discount_percent: discountPercent,
+      coupon: couponData,
+      external_reference: externalReference,
+    });
+  } catch (err) {
+    console.error("Error creando preferencia MP genérica:", err);
+    return res.status(500).json({ ok: false, msg: "Error interno" });
+  }
+};
+
+// Rutas genéricas (por compatibilidad con otras páginas)
+app.post("/mp/create-preference", createGenericPreferenceHandler);
+
+// WEBHOOK MP — pagos genéricos y cuotas del campus
+// (notification_url de /mp/create-preference y /payments/checkout)
+// Con Postgres configurado se registra y deduplica en mp_webhook_events
+// igual que /webhook (mismo payment_id = mismo pago en MP).
+app.post("/mp/webhook", async (req, res) => {
+  const evento = req.body || {};
+  const pagoId =
+    req.query["data.id"] ||
+    evento?.data?.id ||
+    (req.query.topic === "payment" ? req.query.id : null) ||
+    null;
+
+  if (!verifyMpSignature(req, pagoId)) {
+    console.warn("[mp/webhook] firma inválida", { pagoId });
+    return res.sendStatus(401);
+  }
+
+  const isPayment =
+    evento?.type === "payment" ||
+    evento?.action?.includes("payment") ||
+    req.query.type === "payment" ||
+    req.query.topic === "payment";
+  if (!isPayment || !pagoId) return res.sendStatus(200);
+
+  const paymentId = String(pagoId);
+
+  let claim = null;
+  if (pool) {
+    try {
+      claim = await claimWebhookEvent(paymentId, req.headers["x-request-id"], evento);
+    } catch (err) {
+      console.error("[mp/webhook] error registrando evento", err);
+      return res.sendStatus(500);
+    }
+    if (!claim.claimed) {
+      console.log("[mp/webhook] pago en curso por otra notificación:", paymentId);
+      return res.sendStatus(200);
+    }
+  }
+
+  try {
+    const pay = await mercadopago.payment.findById(pagoId);
+    const payment = pay?.response || pay?.body || {};
+    const status = payment.status || null;
+
+    // Mismo estado ya procesado (reintento de MP) -> nada que hacer
+    if (!claim || !status || status !== claim.processedStatus) {
+      await syncPaymentByOrigen(payment);
+    }
+
+    if (claim) await finishWebhookEvent(paymentId, { processed: true, status });
+    return res.sendStatus(200);
+  } catch (err) {
+    console.error("Error /mp/webhook:", err);
+    if (claim) {
+      await finishWebhookEvent(paymentId, { processed: false, error: err }).catch((e) =>
+        console.error("[mp/webhook] error guardando evento", e)
+      );
+    }
+    // 500 => MP reintenta más tarde
+    return res.sendStatus(500);
+  }
+});
+
+// ADMIN — pagos genéricos por rango de fechas
+// GET /admin/generic-payments?from=YYYY-MM-DD&to=YYYY-MM-DD&status=approved
+app.get("/admin/generic-payments", requireAdmin("payments"), async (req, res) => {
+  try {
+    const { from, to, status } = req.query || {};
+
+    const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !isNaN(Date.parse(d));
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res
+        .status(400)
+        .json({ ok: false, msg: "from/to deben ser fechas YYYY-MM-DD." });
+    }
+
+    let query = supabase.from("generic_payments").select("*");
+
+    if (from) {
+      query = query.gte("created_at", new Date(from).toISOString());
+    }
+    if (to) {
+      // "to" inclusive: hasta el final de ese día
+      const end = new Date(to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      query = query.lt("created_at", end.toISOString());
+    }
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error } = await query.order("created_at", {
+      ascending: false,
+    });
+
+    if (error) {
+      console.error("Error /admin/generic-payments:", error);
+      return res.json({ ok: false, msg: "Error consultando pagos" });
+    }
+
+    return res.json({ ok: true, payments: data || [] });
+  } catch (err) {
+    console.error("Error general /admin/generic-payments:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// ========== PAGOS CAMPUS (COMPROBANTES / ADMIN) =======
+// =====================================================
+
+// ============================
+// ESTADOS DE PAGO (payments.status)
+// ============================
+//   pending -> receipt_uploaded -> approved | rejected
+//   rejected -> receipt_uploaded (el alumno sube otro comprobante)
+//   exempt   -> becado / eximido por el admin
+//   paid     -> pagado online por MP (/payments/checkout); si MP lo
+//               devuelve o hay contracargo vuelve a pending (solo el
+//               webhook, ver syncCampusPayment)
+//   overdue / suspended -> los pone el ciclo mensual (ver más abajo)
+// Una fila inexistente cuenta como "pending".
+const PAYMENT_TRANSITIONS = {
+  pending: ["receipt_uploaded", "approved", "exempt", "paid"],
+  receipt_uploaded: ["receipt_uploaded", "approved", "rejected", "exempt", "paid"],
+  rejected: ["receipt_uploaded", "approved", "exempt", "paid"],
+  overdue: ["receipt_uploaded", "approved", "exempt", "paid"],
+  suspended: ["receipt_uploaded", "approved", "exempt", "paid"],
+  approved: ["pending", "rejected"],
+  exempt: ["pending"],
+  paid: [],
+};
+const PAYMENT_STATUSES = Object.keys(PAYMENT_TRANSITIONS);
+
+function canTransitionPayment(from, to) {
+  const allowed = PAYMENT_TRANSITIONS[from || "pending"] || [];
+  return allowed.includes(to);
+}
+
+async function getPaymentRow(userId, monthYear) {
+  const { data, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("month_year", monthYear)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+// Mail al alumno con la decisión sobre su comprobante
+async function notifyPaymentDecision(
+  userId,
+  monthYear,
+  status,
+  { amount, currency, reason } = {}
+) {
+  try {
+    const { data: student, error: stErr } = await supabase
+      .from("profiles")
+      .select("email, first_name, last_name, preferred_language, fee_currency")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (stErr || !student || !student.email) {
+      console.error("Error buscando alumno para mail de pago:", stErr);
+      return;
+    }
+
+    const key = {
+      approved: "payment.approved",
+      rejected: "payment.rejected",
+      exempt: "payment.exempt",
+    }[status];
+    if (!key) return;
+
+    await sendTemplateEmail(key, {
+      to: student.email,
+      lang: student.preferred_language,
+      vars: {
+        first_name: student.first_name || "",
+        month: monthYear,
+        amount,
+        currency: currency || student.fee_currency || "ARS",
+        reason,
+      },
+    });
+  } catch (err) {
+    console.error("Error notifyPaymentDecision:", err);
+  }
+}
+
+// SUBIR COMPROBANTE + registrar en payments
+// Body (form-data): file, user_id, month: "YYYY-MM"
+app.post(
+  "/payments/upload-receipt",
+  requireAuth,
+  uploadSingle("file"),
+  async (req, res) => {
+    try {
+      const { user_id, month } = req.body || {};
+      const file = req.file;
+
+      if (!user_id || !month) {
+        return res.json({
+          ok: false,
+          msg: "Faltan user_id o month en el formulario.",
+        });
+      }
+
+      if (!/^\d{4}-\d{2}$/.test(String(month))) {
+        return res.json({ ok: false, msg: "Mes inválido (YYYY-MM)." });
+      }
+
+      if (req.user.role !== "admin" && req.user.id !== user_id) {
+        return res.status(403).json({ ok: false, msg: "Sin permiso" });
+      }
+
+      if (!file) {
+        return res.json({
+          ok: false,
+          msg: "No se recibió archivo para el comprobante.",
+        });
+      }
+
+      let current;
+      try {
+        current = await getPaymentRow(user_id, month);
+      } catch (fetchErr) {
+        console.error("Error buscando pago existente:", fetchErr);
+        return res.json({ ok: false, msg: "Error buscando pago existente." });
+      }
+
+      if (!canTransitionPayment(current?.status, "receipt_uploaded")) {
+        return res.json({
+          ok: false,
+          msg: "Ese mes ya figura como pago; no hace falta subir comprobante.",
+        });
+      }
+
+      const fileType = sniffFileType(file.buffer);
+      if (!fileType) {
+        return res.json({
+          ok: false,
+          msg: "Formato no permitido. Subí un PDF, JPG, PNG o HEIC.",
+        });
+      }
+
+      const fileHash = sha256(file.buffer);
+      const fileName = `${user_id}/${month}-${Date.now()}.${fileType.ext}`;
+
+      const { error: uploadError } = await supabase.storage
+        .from(RECEIPTS_BUCKET)
+        .upload(fileName, file.buffer, {
+          contentType: fileType.mime,
+          upsert: true,
+        });
+
+      if (uploadError) {
+        console.error("Error subiendo archivo Storage:", uploadError);
+        return res.json({
+          ok: false,
+          msg: "No se pudo subir el archivo de comprobante.",
+        });
+      }
+
+      const monthYear = month;
+      const fingerprint = {
+        kind: "receipt",
+        hash: fileHash,
+        userId: user_id,
+        monthYear,
+        path: fileName,
+      };
+
+      // La huella se guarda recién cuando el pago quedó registrado: si el
+      // upsert falla no tiene que quedar ni la huella ni el archivo suelto
+      const duplicates = await findDuplicateUploads(fingerprint);
+
+      const { error: payErr } = await supabase.from("payments").upsert(
+        {
+          user_id,
+          month_year: monthYear,
+          status: "receipt_uploaded",
+          receipt_path: fileName,
+          receipt_url: null,
+          amount: current?.amount ?? 0,
+          receipt_uploaded_at: new Date().toISOString(),
+          source: "receipt_upload",
+          rejection_reason: null,
+          receipt_sha256: fileHash,
+          receipt_flagged: duplicates.length > 0,
+        },
+        {
+          onConflict: "user_id,month_year",
+        }
+      );
+
+      if (payErr) {
+        console.error("Error guardando pago:", payErr);
+        const { error: rmErr } = await supabase.storage
+          .from(RECEIPTS_BUCKET)
+          .remove([fileName]);
+        if (rmErr) console.error("Error borrando comprobante huérfano:", rmErr);
+        return res.json({
+          ok: false,
+          msg: "No se pudo registrar el pago; volvé a subir el comprobante.",
+        });
+      }
+
+      await saveFingerprint(fingerprint);
+
+      if (duplicates.length) {
+        await notifyDuplicateUpload({
+          kind: "receipt",
+          hash: fileHash,
+          userId: user_id,
+          monthYear,
+          duplicates,
+        });
+      }
+
+      return res.json({ ok: true, path: fileName });
+    } catch (err) {
+      console.error("Error /payments/upload-receipt:", err);
+      return res.json({ ok: false, msg: "Error interno" });
+    }
+  }
+);
+
+// ============================
+// CUOTA MENSUAL ONLINE (MP)
+// ============================
+
+// Cuota mensual del alumno: profiles.monthly_fee (+ fee_currency) o, si no
+// está cargada, el precio de catálogo de su modalidad / frecuencia.
+async function getStudentFee(profile) {
+  const currency = profile?.fee_currency || "ARS";
+
+  if (Number(profile?.monthly_fee) > 0) {
+    return { amount: Number(profile.monthly_fee), currency };
+  }
+
+  if (pool && profile?.class_modality) {
+    const entry = await findCatalogEntry({
+      modalidad: String(profile.class_modality).toLowerCase(),
+      programa: null,
+      frecuencia: normalizeFrecuencia(profile.individual_frequency),
+      currency,
+    });
+    if (entry) return { amount: entry.price, currency: entry.currency };
+  }
+
+  return null;
+}
+
+// Aviso a la academia cuando un pago de MP no se puede aplicar solo
+async function notifyCampusPaymentReview(payment, current, note) {
+  const meta = payment?.metadata || {};
+  await sendTemplateEmail("campus.payment_review", {
+    to: ACADEMY_EMAIL,
+    vars: {
+      user_id: meta.user_id,
+      month: meta.month_year,
+      mp_payment_id: String(payment.id),
+      mp_status: payment.status || "-",
+      current_status: current?.status || "pending",
+      amount: `${payment.transaction_amount ?? "-"} ${payment.currency_id || ""}`.trim(),
+      note,
+    },
+  });
+}
+
+// Estados de MP que devuelven la plata de una cuota ya cobrada
+const MP_CAMPUS_REVERSED_STATUSES = ["refunded", "charged_back"];
+
+// Pago de cuota en MP -> payments, respetando PAYMENT_TRANSITIONS:
+//   approved: pasa a "paid" si el estado actual lo permite; si la cuota ya
+//             estaba aprobada / eximida / pagada con otro pago, no se pisa
+//             y se avisa a la academia (posible pago doble)
+//   refunded / charged_back: la cuota pagada con ese pago vuelve a
+//             "pending" (la factura, si había, se anula a mano con nota
+//             de crédito)
+async function syncCampusPayment(payment) {
+  const meta = payment?.metadata || {};
+  if (!meta.user_id || !meta.month_year) {
+    console.warn("[campus] pago sin user_id/month_year:", payment?.id);
+    return;
+  }
+
+  const mpPaymentId = String(payment.id);
+  const auditReq = { system: "mercadopago" };
+  const targetId = `${meta.user_id}:${meta.month_year}`;
+
+  if (MP_CAMPUS_REVERSED_STATUSES.includes(payment.status)) {
+    const { data: reverted, error } = await supabase
+      .from("payments")
+      .update({ status: "pending", paid_at: null })
+      .eq("user_id", meta.user_id)
+      .eq("month_year", meta.month_year)
+      .eq("status", "paid")
+      .eq("mp_payment_id", mpPaymentId)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    if (!reverted) return; // ya revertido, o la cuota no quedó con este pago
+
+    await auditLog(auditReq, {
+      action: `payment.${payment.status}`,
+      targetType: "payment",
+      targetId,
+      before: { status: "paid", mp_payment_id: mpPaymentId },
+      after: { status: "pending" },
+    });
+    await notifyCampusPaymentReview(
+      payment,
+      { status: "paid" },
+      "La cuota volvió a pendiente. Si ya tenía factura, emití la nota de crédito (POST /admin/invoices/generate con type=credit_note)."
+    );
+    return;
+  }
+
+  if (payment.status !== "approved") return;
+
+  const current = await getPaymentRow(meta.user_id, meta.month_year);
+  if (current?.status === "paid" && current.mp_payment_id === mpPaymentId) return;
+
+  if (!canTransitionPayment(current?.status, "paid")) {
+    await auditLog(auditReq, {
+      action: "payment.mp_not_applied",
+      targetType: "payment",
+      targetId,
+      before: current,
+      after: { mp_payment_id: mpPaymentId, mp_status: payment.status },
+    });
+    await notifyCampusPaymentReview(
+      payment,
+      current,
+      `La cuota ya estaba "${current?.status}"${
+        current?.mp_payment_id ? ` (pago MP ${current.mp_payment_id})` : ""
+      }: no se cambió. Posible pago doble, revisá si corresponde devolverlo.`
+    );
+    return;
+  }
+
+  // Condicional: si otro proceso cambió el estado entre medio, no se pisa
+  const row = {
+    status: "paid",
+    amount: Number(payment.transaction_amount || 0),
+    source: "mercadopago",
+    mp_payment_id: mpPaymentId,
+    paid_at: payment.date_approved || new Date().toISOString(),
+  };
+  let query;
+  if (current) {
+    query = supabase
+      .from("payments")
+      .update(row)
+      .eq("user_id", meta.user_id)
+      .eq("month_year", meta.month_year)
+      .eq("status", current.status);
+  } else {
+    query = supabase
+      .from("payments")
+      .insert({ user_id: meta.user_id, month_year: meta.month_year, ...row });
+  }
+  const { data, error } = await query.select().maybeSingle();
+  if (error) throw error;
+  if (!data) {
+    // Cambió mientras tanto: que MP reintente y se evalúe de nuevo
+    throw new Error(`La cuota ${targetId} cambió de estado mientras se aplicaba el pago`);
+  }
+
+  await auditLog(auditReq, {
+    action: "payment.mp_paid",
+    targetType: "payment",
+    targetId,
+    before: current ? { status: current.status } : null,
+    after: { status: "paid", mp_payment_id: mpPaymentId },
+  });
+
+  if (current?.status === "receipt_uploaded") {
+    await notifyCampusPaymentReview(
+      payment,
+      current,
+      "Había un comprobante en revisión para esa cuota y se pagó también por MP: posible pago doble."
+    );
+  }
+
+  autoIssueInvoice(data);
+}
+
+// POST /payments/checkout
+// Body: { user_id, month_year: "YYYY-MM", back_url_success?, back_url_failure? }
+app.post("/payments/checkout", requireAuth, async (req, res) => {
+  try {
+    const { user_id, month_year, back_url_success, back_url_failure } =
+      req.body || {};
+
+    if (!user_id || !/^\d{4}-\d{2}$/.test(String(month_year || ""))) {
+      return res.json({
+        ok: false,
+        msg: "Faltan user_id o month_year (YYYY-MM).",
+      });
+    }
+
+    if (req.user.role !== "admin" && req.user.id !== user_id) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    const { data: student, error: stErr } = await supabase
+      .from("profiles")
+      .select(
+        "id, email, first_name, last_name, class_modality, individual_frequency, monthly_fee, fee_currency"
+      )
+      .eq("id", user_id)
+      .maybeSingle();
+
+    if (stErr || !student) {
+      console.error("Error buscando alumno para checkout:", stErr);
+      return res.json({ ok: false, msg: "No se encontró el alumno." });
+    }
+
+    const { data: existing, error: payErr } = await supabase
+      .from("payments")
+      .select("status")
+      .eq("user_id", user_id)
+      .eq("month_year", month_year)
+      .maybeSingle();
+
+    if (payErr) {
+      console.error("Error buscando pago existente:", payErr);
+      return res.json({ ok: false, msg: "Error buscando pago existente." });
+    }
+
+    if (existing && ["paid", "approved", "exempt"].includes(existing.status)) {
+      return res.json({ ok: false, msg: "Ese mes ya está pago." });
+    }
+
+    const fee = await getStudentFee(student);
+    if (!fee) {
+      return res.json({
+        ok: false,
+        msg: "El alumno no tiene una cuota configurada.",
+      });
+    }
+
+    const fullName = `${student.first_name || ""} ${
+      student.last_name || ""
+    }`.trim();
+
+    const preference = {
+      items: [
+        {
+          title: `Cuota PauPau Languages — ${month_year}`,
+          quantity: 1,
+          unit_price: fee.amount,
+          currency_id: fee.currency,
+        },
+      ],
+      back_urls: {
+        success: back_url_success || "https://paupaulanguages.com",
+        failure: back_url_failure || "https://paupaulanguages.com",
+      },
+      auto_return: "approved",
+      external_reference: `campus:${user_id}:${month_year}`,
+      metadata: {
+        origen: "campus",
+        user_id,
+        month_year,
+        alumno_nombre: fullName || null,
+        alumno_email: student.email || null,
+      },
+    };
+
+    if (BACKEND_URL) {
+      preference.notification_url = `${BACKEND_URL}/mp/webhook`;
+    }
+
+    if (student.email) {
+      preference.payer = { email: student.email };
+    }
+
+    const result = await mercadopago.preferences.create(preference);
+
+    return res.json({
+      ok: true,
+      id: result.body.id,
+      init_point: result.body.init_point,
+      sandbox_init_point: result.body.sandbox_init_point,
+      amount: fee.amount,
+      currency: fee.currency,
+    });
+  } catch (err) {
+    console.error("Error /payments/checkout:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// DESCARGAR COMPROBANTE (URL firmada: dueño, su profe o admin)
+// GET /payments/receipt/download?user_id=...&month=YYYY-MM
+app.get("/payments/receipt/download", requireAuth, async (req, res) => {
+  try {
+    return await sendSignedDownload(req, res, {
+      table: "payments",
+      pathCol: "receipt_path",
+      urlCol: "receipt_url",
+      bucket: RECEIPTS_BUCKET,
+    });
+  } catch (err) {
+    console.error("Error /payments/receipt/download:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// ADMIN — pagos por usuario (solo lectura: también el profe del alumno
+// y el alumno mismo)
+// GET /admin/payments/user?user_id=...&month=YYYY-MM
+app.get("/admin/payments/user", requireAuth, async (req, res) => {
+  try {
+    const { user_id, month } = req.query || {};
+    if (!user_id) {
+      return res.json({ ok: false, msg: "Falta user_id" });
+    }
+    if (!(await canAccessStudent(req.user, user_id))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    let query = supabase.from("payments").select("*").eq("user_id", user_id);
+
+    if (month) {
+      query = query.eq("month_year", month);
+    }
+
+    const { data, error } = await query.order("month_year", {
+      ascending: false,
+    });
+
+    if (error) {
+      console.error("Error admin/payments/user:", error);
+      return res.json({ ok: false, msg: "Error consultando pagos" });
+    }
+
+    return res.json({ ok: true, payments: withoutPublicUrls(data) });
+  } catch (err) {
+    console.error("Error general /admin/payments/user:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// ADMIN — resumen pagos por mes
+// GET /admin/payments/summary?month=YYYY-MM&teacher_id=&modality=&status=&format=json|csv|xlsx
+// status admite varios separados por coma; "missing" = alumno activo sin
+// fila de pago ese mes.
+const PAYMENT_SUMMARY_COLUMNS = [
+  { key: "student_name", header: "Alumno" },
+  { key: "email", header: "Email" },
+  { key: "dni", header: "DNI" },
+  { key: "teacher_name", header: "Profesor" },
+  { key: "modality", header: "Modalidad" },
+  { key: "month_year", header: "Mes" },
+  { key: "status", header: "Estado" },
+  { key: "amount", header: "Importe" },
+  { key: "currency", header: "Moneda" },
+  { key: "source", header: "Origen" },
+  { key: "paid_at", header: "Pagado" },
+  { key: "reviewed_at", header: "Revisado" },
+  { key: "rejection_reason", header: "Motivo rechazo" },
+  { key: "user_id", header: "user_id" },
+];
+
+function fullName(p) {
+  return `${p?.first_name || ""} ${p?.last_name || ""}`.trim();
+}
+
+app.get("/admin/payments/summary", requireCampusAdmin, async (req, res) => {
+  try {
+    const { month, teacher_id, modality, status, format } = req.query || {};
+    const monthYear = month || new Date().toISOString().slice(0, 7);
+    const statuses = status
+      ? String(status).split(",").map((s) => s.trim()).filter(Boolean)
+      : null;
+
+    let payments;
+    try {
+      payments = await selectAllRows(() =>
+        supabase
+          .from("payments")
+          .select("*")
+          .eq("month_year", monthYear)
+          .order("updated_at", { ascending: false })
+          .order("user_id")
+      );
+    } catch (error) {
+      console.error("Error admin/payments/summary:", error);
+      return res.json({ ok: false, msg: "Error consultando resumen" });
+    }
+
+    // Alumnos activos (los candidatos a "missing"), ya filtrados en la
+    // consulta; después se suman los perfiles de los pagos y los profes
+    const columns = "id, role, email, dni, first_name, last_name, teacher_id, class_modality, active";
+    const byId = new Map();
+    let students;
+    try {
+      students = await selectAllRows(() => {
+        let query = supabase
+          .from("profiles")
+          .select(columns)
+          .eq("role", "student")
+          .or("active.is.null,active.eq.true")
+          .order("id");
+        if (teacher_id) query = query.eq("teacher_id", teacher_id);
+        if (modality) query = query.eq("class_modality", modality);
+        return query;
+      });
+      for (const p of students) byId.set(p.id, p);
+
+      const payers = await selectByIds(
+        "profiles",
+        columns,
+        payments.map((p) => p.user_id).filter((id) => !byId.has(id))
+      );
+      for (const p of payers) byId.set(p.id, p);
+
+      const teachers = await selectByIds(
+        "profiles",
+        columns,
+        [...byId.values()].map((p) => p.teacher_id).filter((id) => id && !byId.has(id))
+      );
+      for (const p of teachers) byId.set(p.id, p);
+    } catch (profErr) {
+      console.error("Error admin/payments/summary (profiles):", profErr);
+      return res.json({ ok: false, msg: "Error consultando alumnos" });
+    }
+
+    const paidIds = new Set(payments.map((p) => p.user_id));
+
+    const rows = payments.map((p) => ({ ...p, profile: byId.get(p.user_id) }));
+    for (const s of students) {
+      if (paidIds.has(s.id)) continue;
+      rows.push({
+        user_id: s.id,
+        month_year: monthYear,
+        status: "missing",
+        amount: null,
+        profile: s,
+      });
+    }
+
+    const result = rows
+      .map(({ profile, ...p }) => ({
+        user_id: p.user_id,
+        student_name: fullName(profile) || profile?.email || p.user_id,
+        email: profile?.email || null,
+        dni: profile?.dni || null,
+        teacher_id: profile?.teacher_id || null,
+        teacher_name: fullName(byId.get(profile?.teacher_id)) || null,
+        modality: profile?.class_modality || null,
+        month_year: p.month_year,
+        status: p.status,
+        amount: p.amount != null ? Number(p.amount) : null,
+        currency: p.currency || (p.amount != null ? "ARS" : null),
+        source: p.source || null,
+        paid_at: p.paid_at || null,
+        reviewed_at: p.reviewed_at || null,
+        rejection_reason: p.rejection_reason || null,
+      }))
+      .filter((r) => !teacher_id || r.teacher_id === teacher_id)
+      .filter((r) => !modality || r.modality === modality)
+      .filter((r) => !statuses || statuses.includes(r.status))
+      .sort((a, b) => a.student_name.localeCompare(b.student_name, "es"));
+
+    // Totales por estado, importes separados por moneda
+    const byStatus = {};
+    for (const r of result) {
+      const t = (byStatus[r.status] ||= { count: 0, amounts: {} });
+      t.count++;
+      if (r.amount != null) {
+        t.amounts[r.currency] = (t.amounts[r.currency] || 0) + r.amount;
+      }
+    }
+
+    const totals = {
+      students: result.length,
+      missing: byStatus.missing?.count || 0,
+      by_status: byStatus,
+    };
+
+    const totalRows = [];
+    for (const [st, t] of Object.entries(byStatus)) {
+      const currencies = Object.keys(t.amounts);
+      if (!currencies.length) {
+        totalRows.push({ status: st, count: t.count, currency: null, amount: null });
+      }
+      for (const cur of currencies) {
+        totalRows.push({ status: st, count: t.count, currency: cur, amount: t.amounts[cur] });
+      }
+    }
+
+    const sent = await sendExport(res, format, `pagos-${monthYear}`, [
+      { name: "Pagos", columns: PAYMENT_SUMMARY_COLUMNS, rows: result },
+      {
+        name: "Totales",
+        columns: [
+          { key: "status", header: "Estado" },
+          { key: "count", header: "Cantidad" },
+          { key: "currency", header: "Moneda" },
+          { key: "amount", header: "Importe" },
+        ],
+        rows: totalRows,
+      },
+    ]);
+    if (sent) return;
+
+    // El JSON sigue devolviendo las filas de payments tal cual (con
+    // comprobante, marcas, etc.); la proyección es solo para exportar.
+    // Los alumnos sin pago van aparte en missing.
+    const shownIds = new Set(
+      result.filter((r) => r.status !== "missing").map((r) => r.user_id)
+    );
+    return res.json({
+      ok: true,
+      month: monthYear,
+      totals,
+      payments: withoutPublicUrls(payments).filter((p) => shownIds.has(p.user_id)),
+      missing: result.filter((r) => r.status === "missing"),
+    });
+  } catch (err) {
+    console.error("Error general /admin/payments/summary:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// Cambia el estado de un pago validando la transición.
+// extra: { reviewed_by?, amount?, reason? } -> devuelve { ok, msg?, payment? }
+async function setPaymentStatus(userId, monthYear, status, extra = {}) {
+  if (!PAYMENT_STATUSES.includes(status)) {
+    return {
+      ok: false,
+      msg: `Estado inválido. Valores posibles: ${PAYMENT_STATUSES.join(", ")}.`,
+    };
+  }
+
+  const existing = await getPaymentRow(userId, monthYear);
+  const from = existing?.status || "pending";
+
+  if (from !== status && !canTransitionPayment(from, status)) {
+    return {
+      ok: false,
+      msg: `No se puede pasar de "${from}" a "${status}".`,
+    };
+  }
+
+  if (status === "rejected" && !String(extra.reason || "").trim()) {
+    return { ok: false, msg: "Falta el motivo del rechazo." };
+  }
+
+  const amount =
+    extra.amount != null && extra.amount !== ""
+      ? Number(extra.amount)
+      : existing?.amount ?? 0;
+
+  if (Number.isNaN(amount)) {
+    return { ok: false, msg: "Importe inválido." };
+  }
+
+  const row = {
+    user_id: userId,
+    month_year: monthYear,
+    status,
+    amount,
+  };
+
+  if (status === "approved" || status === "rejected" || status === "exempt") {
+    row.reviewed_by = extra.reviewed_by || null;
+    row.reviewed_at = new Date().toISOString();
+    row.rejection_reason =
+      status === "rejected" ? String(extra.reason).trim() : null;
+  }
+
+  const { data, error } = await supabase
+    .from("payments")
+    .upsert(row, {
+      onConflict: "user_id,month_year",
+    })
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (from !== status) {
+    await notifyPaymentDecision(userId, monthYear, status, {
+      amount,
+      currency: data?.currency,
+      reason: row.rejection_reason,
+    });
+    autoIssueInvoice(data);
+  }
+
+  return { ok: true, payment: data, previous: existing };
+}
+
+// ADMIN — comprobantes marcados como posible duplicado
+// GET /admin/payments/flagged?month=YYYY-MM (sin month = todos)
+app.get("/admin/payments/flagged", requireCampusAdmin, async (req, res) => {
+  try {
+    const { month } = req.query || {};
+
+    let query = supabase
+      .from("payments")
+      .select("*")
+      .eq("receipt_flagged", true);
+
+    if (month) {
+      query = query.eq("month_year", month);
+    }
+
+    const { data, error } = await query.order("receipt_uploaded_at", {
+      ascending: false,
+    });
+
+    if (error) {
+      console.error("Error /admin/payments/flagged:", error);
+      return res.json({ ok: false, msg: "Error consultando comprobantes" });
+    }
+
+    const payments = data || [];
+    const hashes = [...new Set(payments.map((p) => p.receipt_sha256).filter(Boolean))];
+
+    let uploads = [];
+    if (hashes.length) {
+      const { data: fp, error: fpErr } = await supabase
+        .from("upload_fingerprints")
+        .select("sha256, user_id, month_year, created_at")
+        .eq("kind", "receipt")
+        .in("sha256", hashes);
+      if (fpErr) {
+        console.error("Error buscando huellas:", fpErr);
+      }
+      uploads = fp || [];
+    }
+
+    return res.json({
+      ok: true,
+      payments: withoutPublicUrls(payments).map((p) => ({
+        ...p,
+        same_file_uploads: uploads.filter(
+          (u) =>
+            u.sha256 === p.receipt_sha256 &&
+            (u.user_id !== p.user_id || u.month_year !== p.month_year)
+        ),
+      })),
+    });
+  } catch (err) {
+    console.error("Error general /admin/payments/flagged:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// ADMIN — set manual estado de pago
+// Body: { user_id, status, month?, amount?, reason? }
+app.post("/admin/payment/set", requireCampusAdmin, async (req, res) => {
+  try {
+    const { user_id, status, month, amount, reason } = req.body || {};
+
+    if (!user_id || !status) {
+      return res.json({ ok: false, msg: "Faltan user_id o status." });
+    }
+
+    const monthYear = month || new Date().toISOString().slice(0, 7);
+
+    const result = await setPaymentStatus(user_id, monthYear, status, {
+      amount,
+      reason,
+      reviewed_by: req.user.id,
+    });
+
+    if (result.ok) {
+      await auditLog(req, {
+        action: "payment.set",
+        targetType: "payment",
+        targetId: `${user_id}:${monthYear}`,
+        before: result.previous,
+        after: result.payment,
+      });
+    }
+
+    return res.json(result.ok ? { ok: true } : result);
+  } catch (err) {
+    console.error("Exception en /admin/payment/set:", err);
+    return res.json({ ok: false, msg: "Error inesperado." });
+  }
+});
+
+// ADMIN — aprobar comprobante
+// Body: { user_id, month: "YYYY-MM", amount }
+app.post("/admin/payments/approve", requireCampusAdmin, async (req, res) => {
+  try {
+    const { user_id, month, amount } = req.body || {};
+
+    if (!user_id || !month) {
+      return res.json({ ok: false, msg: "Faltan user_id o month." });
+    }
+    if (amount == null || amount === "" || !(Number(amount) >= 0)) {
+      return res.json({ ok: false, msg: "Falta el importe confirmado." });
+    }
+
+    const result = await setPaymentStatus(user_id, month, "approved", {
+      amount,
+      reviewed_by: req.user.id,
+    });
+
+    if (result.ok) {
+      await auditLog(req, {
+        action: "payment.approve",
+        targetType: "payment",
+        targetId: `${user_id}:${month}`,
+        before: result.previous,
+        after: result.payment,
+      });
+    }
+
+    return res.json({
+      ok: result.ok,
+      msg: result.msg,
+      payment: withoutPublicUrl(result.payment),
+    });
+  } catch (err) {
+    console.error("Error /admin/payments/approve:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// ADMIN — rechazar comprobante
+// Body: { user_id, month: "YYYY-MM", reason }
+app.post("/admin/payments/reject", requireCampusAdmin, async (req, res) => {
+  try {
+    const { user_id, month, reason } = req.body || {};
+
+    if (!user_id || !month) {
+      return res.json({ ok: false, msg: "Faltan user_id o month." });
+    }
+
+    const result = await setPaymentStatus(user_id, month, "rejected", {
+      reason,
+      reviewed_by: req.user.id,
+    });
+
+    if (result.ok) {
+      await auditLog(req, {
+        action: "payment.reject",
+        targetType: "payment",
+        targetId: `${user_id}:${month}`,
+        before: result.previous,
+        after: result.payment,
+      });
+    }
+
+    return res.json({
+      ok: result.ok,
+      msg: result.msg,
+      payment: withoutPublicUrl(result.payment),
+    });
+  } catch (err) {
+    console.error("Error /admin/payments/reject:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// CICLO MENSUAL DE CUOTAS (cron)
+// =====================================================
+// - Una vez por mes (desde el día 1): fila "pending" en payments para
+//   cada alumno activo, con el monto de su plan (getStudentFee).
+// - Días BILLING_REMINDER_DAYS (o apenas despierta si se los perdió):
+//   recordatorio a los que no pagaron.
+// - Pasado BILLING_DUE_DAY: quedan "overdue".
+// - Desde BILLING_SUSPEND_DAY: "suspended" + aviso a su profe.
+// profiles.billing_exempt = true saca al alumno del ciclo.
+//
+// Tabla billing_job_runs (Supabase): job, run_date, created_at
+//   (unique job+run_date: "create" usa el 1° del mes y "remind" el día del
+//   recordatorio, así corren una vez aunque haya reinicios o varias instancias)
+const BILLING_TZ = process.env.BILLING_TZ || "America/Argentina/Buenos_Aires";
+const BILLING_DUE_DAY = Number(process.env.BILLING_DUE_DAY || 7);
+const BILLING_SUSPEND_DAY = Number(process.env.BILLING_SUSPEND_DAY || 10);
+const BILLING_REMINDER_DAYS = (process.env.BILLING_REMINDER_DAYS || "1,5,7")
+  .split(",")
+  .map((s) => Number(s.trim()))
+  .filter(Boolean);
+
+const UNPAID_STATUSES = ["pending", "rejected", "overdue", "suspended"];
+
+// Fecha de hoy en la zona horaria de la academia
+function billingToday() {
+  const date = new Intl.DateTimeFormat("en-CA", {
+    timeZone: BILLING_TZ,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date());
+  return { date, monthYear: date.slice(0, 7), day: Number(date.slice(8, 10)) };
+}
+
+// true si este paso todavía no corrió para runDate (y lo marca como corrido)
+async function claimBillingRun(job, runDate) {
+  const { data, error } = await supabase
+    .from("billing_job_runs")
+    .upsert(
+      { job, run_date: runDate, created_at: new Date().toISOString() },
+      { onConflict: "job,run_date", ignoreDuplicates: true }
+    )
+    .select();
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+// Si el paso falló, se suelta para que la próxima vuelta lo reintente
+async function releaseBillingRun(job, runDate) {
+  const { error } = await supabase
+    .from("billing_job_runs")
+    .delete()
+    .eq("job", job)
+    .eq("run_date", runDate);
+  if (error) console.error("[billing] no se pudo liberar", job, runDate, error);
+}
+
+// Corre un paso una sola vez por runDate; si tira error queda para reintentar
+async function runBillingStepOnce(job, runDate, fn) {
+  if (!(await claimBillingRun(job, runDate))) return;
+  try {
+    await fn();
+  } catch (err) {
+    await releaseBillingRun(job, runDate);
+    throw err;
+  }
+}
+
+async function getBillableStudents() {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select(
+      "id, email, first_name, last_name, preferred_language, teacher_id, class_modality, individual_frequency, monthly_fee, fee_currency, billing_exempt, active"
+    )
+    .eq("role", "student");
+  if (error) throw error;
+  return (data || []).filter((s) => s.active !== false && !s.billing_exempt);
+}
+
+async function createMonthlyPayments(monthYear) {
+  const students = await getBillableStudents();
+  const rows = [];
+
+  for (const s of students) {
+    let fee = null;
+    try {
+      fee = await getStudentFee(s);
+    } catch (err) {
+      console.error("[billing] error calculando cuota de", s.id, err);
+    }
+    if (!fee) {
+      console.warn("[billing] alumno sin cuota configurada:", s.id);
+    }
+    rows.push({
+      user_id: s.id,
+      month_year: monthYear,
+      status: "pending",
+      amount: fee?.amount ?? 0,
+      source: "billing_cycle",
+    });
+  }
+
+  if (!rows.length) return 0;
+
+  // No pisa filas existentes (ej: alguien que ya pagó por adelantado)
+  const { data, error } = await supabase
+    .from("payments")
+    .upsert(rows, { onConflict: "user_id,month_year", ignoreDuplicates: true })
+    .select("user_id");
+  if (error) throw error;
+  return (data || []).length;
+}
+
+async function sendPaymentReminders(monthYear, day) {
+  const students = await getBillableStudents();
+  if (!students.length) return 0;
+
+  const { data: unpaid, error } = await supabase
+    .from("payments")
+    .select("user_id, amount, currency, status")
+    .eq("month_year", monthYear)
+    .in("status", UNPAID_STATUSES);
+  if (error) throw error;
+
+  const byId = new Map(students.map((s) => [s.id, s]));
+  let sent = 0;
+
+  for (const p of unpaid || []) {
+    const student = byId.get(p.user_id);
+    if (!student?.email) continue;
+
+    const vencido = day > BILLING_DUE_DAY;
+    await sendTemplateEmail(vencido ? "billing.overdue" : "billing.reminder", {
+      to: student.email,
+      lang: student.preferred_language,
+      vars: {
+        first_name: student.first_name || "",
+        month: monthYear,
+        due_day: BILLING_DUE_DAY,
+        amount: Number(p.amount) > 0 ? Number(p.amount) : null,
+        currency: p.currency || student.fee_currency || "ARS",
+      },
+    });
+    sent++;
+  }
+
+  return sent;
+}
+
+// pending/rejected -> overdue (idempotente: solo toca las que faltan)
+async function markOverduePayments(monthYear) {
+  const { data, error } = await supabase
+    .from("payments")
+    .update({ status: "overdue" })
+    .eq("month_year", monthYear)
+    .in("status", ["pending", "rejected"])
+    .select("user_id");
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// overdue -> suspended, con aviso a cada profe de sus alumnos suspendidos
+async function suspendUnpaidStudents(monthYear) {
+  const { data, error } = await supabase
+    .from("payments")
+    .update({ status: "suspended" })
+    .eq("month_year", monthYear)
+    .eq("status", "overdue")
+    .select("user_id");
+  if (error) throw error;
+
+  const ids = (data || []).map((p) => p.user_id);
+  if (!ids.length) return 0;
+
+  const { data: students, error: stErr } = await supabase
+    .from("profiles")
+    .select("id, first_name, last_name, email, teacher_id")
+    .in("id", ids);
+  if (stErr) throw stErr;
+
+  const byTeacher = new Map();
+  for (const s of students || []) {
+    if (!s.teacher_id) continue;
+    if (!byTeacher.has(s.teacher_id)) byTeacher.set(s.teacher_id, []);
+    byTeacher.get(s.teacher_id).push(s);
+  }
+
+  if (byTeacher.size) {
+    const { data: teachers, error: tErr } = await supabase
+      .from("profiles")
+      .select("id, email, first_name")
+      .in("id", [...byTeacher.keys()]);
+    if (tErr) throw tErr;
+
+    for (const t of teachers || []) {
+      if (!t.email) continue;
+      await sendTemplateEmail("billing.suspended_teacher", {
+        to: t.email,
+        vars: {
+          first_name: t.first_name || "",
+          month: monthYear,
+          students: byTeacher
+            .get(t.id)
+            .map((s) => `${s.first_name || ""} ${s.last_name || ""}`.trim() || s.email),
+        },
+      });
+    }
+  }
+
+  return ids.length;
+}
+
+// Los pasos se reclaman por mes / por día de recordatorio (no por "hoy"):
+// si la instancia estuvo dormida el día 1 o el día de un recordatorio,
+// lo hace apenas despierta.
+async function runBillingCycle() {
+  const { monthYear, day } = billingToday();
+
+  await runBillingStepOnce("create", `${monthYear}-01`, async () => {
+    const n = await createMonthlyPayments(monthYear);
+    console.log(`[billing] ${monthYear}: ${n} cuotas pendientes creadas`);
+  });
+
+  // Solo el último recordatorio que ya tocaba (no se mandan atrasados en tanda)
+  const reminderDay = Math.max(0, ...BILLING_REMINDER_DAYS.filter((d) => d <= day));
+  if (reminderDay) {
+    const runDate = `${monthYear}-${String(reminderDay).padStart(2, "0")}`;
+    await runBillingStepOnce("remind", runDate, async () => {
+      const n = await sendPaymentReminders(monthYear, day);
+      console.log(`[billing] ${monthYear}: ${n} recordatorios enviados (día ${reminderDay})`);
+    });
+  }
+
+  if (day > BILLING_DUE_DAY) {
+    const n = await markOverduePayments(monthYear);
+    if (n > 0) console.log(`[billing] ${monthYear}: ${n} cuotas vencidas`);
+  }
+
+  if (day >= BILLING_SUSPEND_DAY) {
+    const n = await suspendUnpaidStudents(monthYear);
+    if (n > 0) console.log(`[billing] ${monthYear}: ${n} alumnos suspendidos`);
+  }
+}
+
+// Cada hora (y una vez al arrancar, por si la instancia estuvo dormida)
+const runBillingCycleSafe = () =>
+  runBillingCycle().catch((e) => console.error("[billing cron error]", e));
+setInterval(runBillingCycleSafe, 60 * 60 * 1000);
+setTimeout(runBillingCycleSafe, 30 * 1000);
+
+// ADMIN — eximir / volver a incluir a un alumno en el ciclo de cuotas
+// Body: { user_id, exempt: true|false, month?: "YYYY-MM" }
+// Con month (y exempt=true) además marca ese mes como "exempt".
+app.post("/admin/billing/exempt", requireCampusAdmin, async (req, res) => {
+  try {
+    const { user_id, exempt, month } = req.body || {};
+    if (!user_id || typeof exempt !== "boolean") {
+      return res.json({ ok: false, msg: "Faltan user_id o exempt (true/false)." });
+    }
+
+    const { data: before, error: befErr } = await supabase
+      .from("profiles")
+      .select("id, billing_exempt")
+      .eq("id", user_id)
+      .maybeSingle();
+
+    if (befErr || !before) {
+      console.error("Error buscando alumno para eximir:", befErr);
+      return res.json({ ok: false, msg: "No se encontró el alumno." });
+    }
+
+    const setExempt = (value) =>
+      supabase.from("profiles").update({ billing_exempt: value }).eq("id", user_id);
+
+    const { error } = await setExempt(exempt);
+
+    if (error) {
+      console.error("Error /admin/billing/exempt:", error);
+      return res.json({ ok: false, msg: "Error actualizando alumno." });
+    }
+
+    let payment = null;
+    if (exempt && month) {
+      // Si no se puede marcar el mes, se deshace el cambio del perfil
+      let result;
+      try {
+        result = await setPaymentStatus(user_id, month, "exempt", {
+          reviewed_by: req.user.id,
+        });
+      } catch (err) {
+        result = { ok: false, msg: "Error marcando el mes como exento.", err };
+      }
+      if (!result.ok) {
+        const { error: undoErr } = await setExempt(!!before.billing_exempt);
+        if (undoErr) console.error("Error deshaciendo billing_exempt:", undoErr);
+        if (result.err) console.error("Error /admin/billing/exempt:", result.err);
+        return res.json({ ok: false, msg: result.msg });
+      }
+      payment = result.payment;
+    }
+
+    await auditLog(req, {
+      action: "billing.exempt",
+      targetType: "profile",
+      targetId: user_id,
+      before: { billing_exempt: !!before.billing_exempt },
+      after: { billing_exempt: exempt, month: month || null },
+    });
+
+    return res.json({ ok: true, payment: withoutPublicUrl(payment) });
+  } catch (err) {
+    console.error("Error general /admin/billing/exempt:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+// =====================================================
+// ADMIN — USERS / TEACHERS (campus)
+// =====================================================
+
+app.get("/admin/users", requireCampusAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select(
+        "id, email, first_name, last_name, role, teacher_id, zoom_link, class_modality, individual_frequency, preferred_language"
+      );
+
+    if (error) {
+      console.error("Error /admin/users:", error);
+      return res.json({ ok: false, msg: "Error cargando usuarios" });
+    }
+
+    return res.json({ ok: true, users: data || [] });
+  } catch (err) {
+    console.error("Error general /admin/users:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+app.get("/admin/teachers", requireCampusAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("profiles")
+      .select("id, email, first_name, last_name, role")
+      .eq("role", "teacher");
+
+    if (error) {
+      console.error("Error /admin/teachers:", error);
+      return res.json({ ok: false, msg: "Error cargando profesores" });
+    }
+
+    return res.json({ ok: true, teachers: data || [] });
+  } catch (err) {
+    console.error("Error general /admin/teachers:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// PERFIL — idioma de los mails
+// =====================================================
+// POST /profile/language
+// Body: { language: "es"|"en"|"pt"|"it", user_id? }
+// Columna profiles.preferred_language text NULL (vacío = castellano).
+// Cada uno cambia el suyo; un admin puede cambiar el de cualquiera.
+app.post("/profile/language", requireAuth, async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.body?.language);
+    if (!language) {
+      return res.json({
+        ok: false,
+        msg: `Idioma no soportado. Opciones: ${EMAIL_LANGUAGES.join(", ")}.`,
+      });
+    }
+
+    const userId = req.body?.user_id || req.user.id;
+    if (userId !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    const { data: before, error: befErr } = await supabase
+      .from("profiles")
+      .select("id, preferred_language")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (befErr || !before) {
+      console.error("Error buscando perfil para idioma:", befErr);
+      return res.json({ ok: false, msg: "No se encontró el usuario." });
+    }
+
+    const { error } = await supabase
+      .from("profiles")
+      .update({ preferred_language: language })
+      .eq("id", userId);
+
+    if (error) {
+      console.error("Error /profile/language:", error);
+      return res.json({ ok: false, msg: "Error actualizando el idioma." });
+    }
+
+    // Solo se audita cuando un admin cambia el de otro
+    if (userId !== req.user.id) {
+      await auditLog(req, {
+        action: "profile.language",
+        targetType: "profile",
+        targetId: userId,
+        before: { preferred_language: before.preferred_language || null },
+        after: { preferred_language: language },
+      });
+    }
+
+    return res.json({ ok: true, preferred_language: language });
+  } catch (err) {
+    console.error("Error general /profile/language:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// FACTURAS — subida por admin + consultas
+// =====================================================
+
+const INVOICES_BUCKET = "invoices";
+// Tabla invoices (Supabase): una fila por alumno + mes + doc_type
+//   (unique user_id, month_year, doc_type), así factura y recibo del
+//   mismo mes no se pisan. Las subidas a mano son doc_type 'invoice'.
+//   Para pasar una tabla vieja:
+//     UPDATE invoices SET doc_type = 'invoice' WHERE doc_type IS NULL;
+//     ALTER TABLE invoices DROP CONSTRAINT invoices_user_id_month_year_key,
+//       ADD UNIQUE (user_id, month_year, doc_type);
+
+// Mail al alumno: hay una factura nueva en el campus
+async function notifyInvoiceAvailable(userId, monthYear, amountNumber, currency = null) {
+  try {
+    const { data: student, error: stErr } = await supabase
+      .from("profiles")
+      .select("email, first_name, last_name, preferred_language, fee_currency")
+      .eq("id", userId)
+      .maybeSingle();
+
+    if (!stErr && student && student.email) {
+      await sendTemplateEmail("invoice.available", {
+        to: student.email,
+        lang: student.preferred_language,
+        vars: {
+          first_name: student.first_name || "",
+          month: monthYear,
+          amount: amountNumber,
+          currency: currency || student.fee_currency || "ARS",
+        },
+      });
+    }
+  } catch (mailErr) {
+    console.error("Error enviando mail de factura:", mailErr);
+  }
+}
+
+// Sube el archivo al bucket, registra la huella y upsertea invoices.
+// Devuelve { ok, msg?, path?, hash?, duplicates? }
+async function storeInvoiceFile({ userId, monthYear, amountNumber, buffer, fileType }) {
+  // Un comprobante con CAE es un registro fiscal: no se reemplaza a mano
+  const { data: current, error: curErr } = await supabase
+    .from("invoices")
+    .select("id, cae, issuing_at")
+    .eq("user_id", userId)
+    .eq("month_year", monthYear)
+    .eq("doc_type", "invoice")
+    .maybeSingle();
+  if (curErr) {
+    console.error("Error buscando factura existente:", curErr);
+    return { ok: false, msg: "Error consultando facturas." };
+  }
+  if (current?.cae) {
+    return {
+      ok: false,
+      msg: "Ese mes ya tiene una factura con CAE. Anulala con una nota de crédito en vez de reemplazarla.",
+    };
+  }
+  if (current?.issuing_at) {
+    return { ok: false, msg: "Se está generando la factura de ese mes; probá en un rato." };
+  }
+
+  const fileHash = sha256(buffer);
+  const fileName = `${userId}/${monthYear}-invoice-${Date.now()}.${fileType.ext}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(INVOICES_BUCKET)
+    .upload(fileName, buffer, {
+      contentType: fileType.mime,
+      upsert: true,
+    });
+
+  if (uploadError) {
+    console.error("Error subiendo factura Storage:", uploadError);
+    return { ok: false, msg: "No se pudo subir el archivo de factura." };
+  }
+
+  const fingerprint = {
+    kind: "invoice",
+    hash: fileHash,
+    userId,
+    monthYear,
+    path: fileName,
+  };
+  const duplicates = await findDuplicateUploads(fingerprint);
+
+  const { error: invErr } = await supabase
+    .from("invoices")
+    .upsert(
+      {
+        user_id: userId,
+        month_year: monthYear,
+        amount: amountNumber,
+        doc_type: "invoice",
+        file_path: fileName,
+        file_url: null,
+        file_sha256: fileHash,
+        created_at: new Date().toISOString(),
+        // Si reemplaza una generada, no quedan datos del comprobante viejo
+        point_of_sale: null,
+        invoice_number: null,
+        issued_at: null,
+        fiscal_provider: null,
+        voucher_type: null,
+        voucher_number: null,
+        cae: null,
+        cae_expires_at: null,
+        associated_doc_type: null,
+        associated_voucher_type: null,
+        associated_voucher_number: null,
+        issuing_at: null,
+      },
+      {
+        onConflict: "user_id,month_year,doc_type",
+      }
+    );
+
+  if (invErr) {
+    console.error("Error guardando factura en tabla invoices:", invErr);
+    const { error: rmErr } = await supabase.storage
+      .from(INVOICES_BUCKET)
+      .remove([fileName]);
+    if (rmErr) console.error("Error borrando factura huérfana:", rmErr);
+    return {
+      ok: false,
+      msg: "No se pudo guardar el registro de la factura.",
+    };
+  }
+
+  await saveFingerprint(fingerprint);
+
+  return { ok: true, path: fileName, hash: fileHash, duplicates };
+}
+
+// POST /admin/invoices/upload (form-data: file, user_id, month, amount?)
+app.post(
+  "/admin/invoices/upload",
+  requireCampusAdmin,
+  uploadSingle("file"),
+  async (req, res) => {
+    try {
+      const { user_id, month, amount } = req.body || {};
+      const file = req.file;
+
+      if (!user_id || !month) {
+        return res.json({
+          ok: false,
+          msg: "Faltan user_id o month en el formulario.",
+        });
+      }
+
+      if (!file) {
+        return res.json({ ok: false, msg: "No se recibió archivo de factura." });
+      }
+
+      const fileType = sniffFileType(file.buffer);
+      if (!fileType) {
+        return res.json({
+          ok: false,
+          msg: "Formato no permitido. Subí un PDF, JPG, PNG o HEIC.",
+        });
+      }
+
+      const monthYear = month;
+      const amountNumber =
+        amount != null && amount !== "" ? Number(amount) : null;
+
+      const stored = await storeInvoiceFile({
+        userId: user_id,
+        monthYear,
+        amountNumber,
+        buffer: file.buffer,
+        fileType,
+      });
+      if (!stored.ok) {
+        return res.json({ ok: false, msg: stored.msg });
+      }
+      const { path: fileName, hash: fileHash, duplicates } = stored;
+
+      await auditLog(req, {
+        action: "invoice.upload",
+        targetType: "invoice",
+        targetId: `${user_id}:${monthYear}`,
+        after: {
+          user_id,
+          month_year: monthYear,
+          amount: amountNumber,
+          file_path: fileName,
+          file_sha256: fileHash,
+        },
+      });
+
+      // Notificar alumno
+      await notifyInvoiceAvailable(user_id, monthYear, amountNumber);
+
+      if (duplicates.length) {
+        await notifyDuplicateUpload({
+          kind: "invoice",
+          hash: fileHash,
+          userId: user_id,
+          monthYear,
+          duplicates,
+        });
+      }
+
+      return res.json({ ok: true, path: fileName, duplicates });
+    } catch (err) {
+      console.error("Error /admin/invoices/upload:", err);
+      return res.json({ ok: false, msg: "Error interno" });
+    }
+  }
+);
+
+// ---------- Importación masiva (ZIP) ----------
+
+// CSV simple: separador "," o ";" (Excel en español), comillas dobles.
+// Devuelve filas como objetos con los encabezados en minúscula.
+function parseCsv(text) {
+  const clean = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = clean.split(/\r?\n/, 1)[0] || "";
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (quoted) {
+      if (ch === '"' && clean[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && clean[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter((r) => r.some((c) => c.trim()));
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return body.map((r) =>
+    Object.fromEntries(keys.map((k, i) => [k, (r[i] || "").trim()]))
+  );
+}
+
+const MONTH_IN_NAME_RE = /(\d{4})[-_.](0[1-9]|1[0-2])(?!\d)/;
+const DNI_IN_NAME_RE = /(?<![\d.])(\d{1,2}\.?\d{3}\.?\d{3})(?![\d.])/;
+const EMAIL_IN_NAME_RE = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const MAX_ZIP_ENTRIES = 1000;
+
+function onlyDigits(value) {
+  return String(value || "").replace(/\D/g, "");
+}
+
+// Ruta dentro del ZIP normalizada para comparar con el manifiesto
+function zipPathKey(name) {
+  return String(name || "").replace(/\\/g, "/").replace(/^\.?\//, "").toLowerCase();
+}
+
+// Alumno + mes de un archivo según la regla elegida.
+// Devuelve { userId, monthYear, amount } o { msg } si no matchea.
+function matchInvoiceFile(entryName, { mode, manifestRows, students, defaultMonth }) {
+  const baseName = entryName.split("/").pop();
+  const stem = baseName.replace(/\.[^.]+$/, "");
+  let key = null;
+  let monthYear = null;
+  let amount = null;
+
+  if (mode === "manifest") {
+    // Primero la ruta completa; una fila con solo el nombre vale si ese
+    // nombre no se repite en el ZIP (lo controla quien llama)
+    const entry =
+      manifestRows.get(zipPathKey(entryName)) || manifestRows.get(baseName.toLowerCase());
+    if (!entry) return { msg: "No figura en el manifiesto." };
+    monthYear = entry.month || entry.mes || null;
+    amount = entry.amount || entry.importe || null;
+    if (entry.user_id) {
+      const s = students.byId.get(entry.user_id);
+      if (!s) return { msg: `user_id ${entry.user_id} no existe.` };
+      key = s;
+    } else if (entry.dni) {
+      key = students.byDni.get(onlyDigits(entry.dni)) || null;
+      if (!key) return { msg: `No hay alumno con DNI ${entry.dni}.` };
+    } else if (entry.email) {
+      key = students.byEmail.get(normalizeEmail(entry.email)) || null;
+      if (!key) return { msg: `No hay alumno con email ${entry.email}.` };
+    } else {
+      return { msg: "La fila del manifiesto no tiene user_id, dni ni email." };
+    }
+  } else if (mode === "email") {
+    const m = stem.match(EMAIL_IN_NAME_RE);
+    if (!m) return { msg: "El nombre no contiene un email." };
+    key = students.byEmail.get(normalizeEmail(m[0])) || null;
+    if (!key) return { msg: `No hay alumno con email ${m[0]}.` };
+  } else {
+    const m = stem.match(DNI_IN_NAME_RE);
+    if (!m) return { msg: "El nombre no contiene un DNI." };
+    key = students.byDni.get(onlyDigits(m[1])) || null;
+    if (!key) return { msg: `No hay alumno con DNI ${m[1]}.` };
+  }
+
+  if (!monthYear) {
+    const mm = stem.match(MONTH_IN_NAME_RE);
+    monthYear = mm ? `${mm[1]}-${mm[2]}` : defaultMonth || null;
+  }
+  if (!/^\d{4}-\d{2}$/.test(String(monthYear || ""))) {
+    return { msg: "No se pudo determinar el mes (YYYY-MM)." };
+  }
+
+  const amountNumber =
+    amount != null && amount !== "" ? Number(String(amount).replace(",", ".")) : null;
+  if (amountNumber != null && Number.isNaN(amountNumber)) {
+    return { msg: `Importe inválido: ${amount}.` };
+  }
+
+  return { userId: key.id, monthYear, amount: amountNumber };
+}
+
+// POST /admin/invoices/import
+// form-data: file (ZIP de PDFs), match? ("dni" | "email" | "manifest"),
+//            month? (YYYY-MM por defecto), manifest? (CSV), overwrite?
+// Manifiesto CSV: file, user_id | dni | email, month?, amount?
+//   file es la ruta dentro del ZIP (alcanza el nombre si no se repite
+//   en otra carpeta). También se toma manifest.csv dentro del ZIP.
+app.post("/admin/invoices/import", requireCampusAdmin, uploadZip, async (req, res) => {
+  try {
+    const zipFile = req.files?.file?.[0];
+    const { month, overwrite } = req.body || {};
+    let mode = String(req.body?.match || "").toLowerCase();
+
+    if (!zipFile) {
+      return res.json({ ok: false, msg: "No se recibió el ZIP." });
+    }
+    if (month && !/^\d{4}-\d{2}$/.test(month)) {
+      return res.json({ ok: false, msg: "month debe ser YYYY-MM." });
+    }
+
+    let zip;
+    try {
+      zip = new AdmZip(zipFile.buffer);
+    } catch (err) {
+      return res.json({ ok: false, msg: "El archivo no es un ZIP válido." });
+    }
+
+    const entries = zip
+      .getEntries()
+      .filter((e) => !e.isDirectory)
+      .filter((e) => {
+        const base = e.entryName.split("/").pop();
+        return !e.entryName.startsWith("__MACOSX/") && !base.startsWith(".");
+      });
+
+    if (entries.length > MAX_ZIP_ENTRIES) {
+      return res.json({
+        ok: false,
+        msg: `El ZIP tiene más de ${MAX_ZIP_ENTRIES} archivos.`,
+      });
+    }
+
+    // Manifiesto: campo aparte o manifest.csv dentro del ZIP
+    let manifestText = req.files?.manifest?.[0]?.buffer?.toString("utf8") || null;
+    const manifestEntry = entries.find(
+      (e) => e.entryName.split("/").pop().toLowerCase() === "manifest.csv"
+    );
+    if (!manifestText && manifestEntry) {
+      manifestText = manifestEntry.getData().toString("utf8");
+    }
+    if (!mode) mode = manifestText ? "manifest" : "dni";
+    if (!["dni", "email", "manifest"].includes(mode)) {
+      return res.json({ ok: false, msg: "match debe ser dni, email o manifest." });
+    }
+    if (mode === "manifest" && !manifestText) {
+      return res.json({ ok: false, msg: "Falta el manifiesto CSV." });
+    }
+
+    const manifestRows = new Map();
+    for (const row of mode === "manifest" ? parseCsv(manifestText) : []) {
+      const name = row.file || row.archivo;
+      if (name) manifestRows.set(zipPathKey(name), row);
+    }
+
+    // Nombres repetidos en distintas carpetas: por nombre solo no se sabe
+    // cuál es cuál
+    const baseNameCount = new Map();
+    for (const e of entries) {
+      const base = e.entryName.split("/").pop().toLowerCase();
+      baseNameCount.set(base, (baseNameCount.get(base) || 0) + 1);
+    }
+
+    const { data: profiles, error: profErr } = await supabase
+      .from("profiles")
+      .select("id, email, dni")
+      .eq("role", "student");
+    if (profErr) {
+      console.error("Error cargando alumnos para importar:", profErr);
+      return res.json({ ok: false, msg: "Error consultando alumnos" });
+    }
+
+    const students = { byId: new Map(), byDni: new Map(), byEmail: new Map() };
+    for (const p of profiles || []) {
+      students.byId.set(p.id, p);
+      if (p.dni) students.byDni.set(onlyDigits(p.dni), p);
+      if (p.email) students.byEmail.set(normalizeEmail(p.email), p);
+    }
+
+    const report = [];
+    const seenHashes = new Map(); // hash -> archivo
+    const seenTargets = new Map(); // user_id:mes -> archivo
+    const imported = [];
+
+    for (const entry of entries) {
+      if (entry === manifestEntry) continue;
+      const baseName = entry.entryName.split("/").pop();
+      const item = { file: entry.entryName };
+      report.push(item);
+
+      if (entry.header.size > MAX_UPLOAD_MB * 1024 * 1024) {
+        item.status = "error";
+        item.msg = `Supera el máximo de ${MAX_UPLOAD_MB} MB.`;
+        continue;
+      }
+
+      const buffer = entry.getData();
+      const fileType = sniffFileType(buffer);
+      if (fileType?.ext !== "pdf") {
+        item.status = "error";
+        item.msg = "No es un PDF.";
+        continue;
+      }
+
+      if (
+        mode === "manifest" &&
+        !manifestRows.has(zipPathKey(entry.entryName)) &&
+        baseNameCount.get(baseName.toLowerCase()) > 1
+      ) {
+        item.status = "duplicate";
+        item.msg = `Hay otro ${baseName} en el ZIP; en el manifiesto poné la ruta completa.`;
+        continue;
+      }
+
+      const match = matchInvoiceFile(entry.entryName, {
+        mode,
+        manifestRows,
+        students,
+        defaultMonth: month,
+      });
+      if (!match.userId) {
+        item.status = "unmatched";
+        item.msg = match.msg;
+        continue;
+      }
+      item.user_id = match.userId;
+      item.month = match.monthYear;
+
+      const hash = sha256(buffer);
+      const target = `${match.userId}:${match.monthYear}`;
+      if (seenHashes.has(hash)) {
+        item.status = "duplicate";
+        item.msg = `Mismo archivo que ${seenHashes.get(hash)}.`;
+        continue;
+      }
+      if (seenTargets.has(target)) {
+        item.status = "duplicate";
+        item.msg = `Mismo alumno y mes que ${seenTargets.get(target)}.`;
+        continue;
+      }
+      seenHashes.set(hash, entry.entryName);
+      seenTargets.set(target, entry.entryName);
+
+      try {
+        const { data: sameFile } = await supabase
+          .from("invoices")
+          .select("user_id, month_year")
+          .eq("file_sha256", hash)
+          .limit(1);
+        if (sameFile && sameFile.length) {
+          item.status = "duplicate";
+          item.msg = `Ya importado (${sameFile[0].user_id}, ${sameFile[0].month_year}).`;
+          continue;
+        }
+
+        if (overwrite !== "true") {
+          const { data: existing } = await supabase
+            .from("invoices")
+            .select("id")
+            .eq("user_id", match.userId)
+            .eq("month_year", match.monthYear)
+            .eq("doc_type", "invoice")
+            .maybeSingle();
+          if (existing) {
+            item.status = "duplicate";
+            item.msg = "El alumno ya tiene factura para ese mes.";
+            continue;
+          }
+        }
+
+        const stored = await storeInvoiceFile({
+          userId: match.userId,
+          monthYear: match.monthYear,
+          amountNumber: match.amount,
+          buffer,
+          fileType,
+        });
+        if (!stored.ok) {
+          item.status = "error";
+          item.msg = stored.msg;
+          continue;
+        }
+
+        item.status = "imported";
+        item.path = stored.path;
+        imported.push({ ...match, ...stored });
+      } catch (err) {
+        console.error("Error importando factura", entry.entryName, err);
+        item.status = "error";
+        item.msg = "Error interno";
+      }
+    }
+
+    // Mails solo por lo que efectivamente se importó
+    for (const inv of imported) {
+      await notifyInvoiceAvailable(inv.userId, inv.monthYear, inv.amount);
+      if (inv.duplicates.length) {
+        await notifyDuplicateUpload({
+          kind: "invoice",
+          hash: inv.hash,
+          userId: inv.userId,
+          monthYear: inv.monthYear,
+          duplicates: inv.duplicates,
+        });
+      }
+    }
+
+    const summary = { total: report.length };
+    for (const s of ["imported", "unmatched", "duplicate", "error"]) {
+      summary[s] = report.filter((r) => r.status === s).length;
+    }
+
+    await auditLog(req, {
+      action: "invoice.import",
+      targetType: "invoice",
+      targetId: zipFile.originalname || null,
+      after: { match: mode, month: month || null, ...summary },
+    });
+
+    return res.json({ ok: true, match: mode, summary, files: report });
+  } catch (err) {
+    console.error("Error /admin/invoices/import:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// FACTURACIÓN ELECTRÓNICA (CAE)
+// =====================================================
+// Un proveedor de facturación implementa:
+//   name
+//   authorize({ docType, pointOfSale, amount, currency, customer, issuedAt, periodo })
+//     -> { cae, cae_expires_at: "YYYY-MM-DD", voucher_type, voucher_number }
+//   customer: { dni?, name? }   periodo: "YYYY-MM" (mes del servicio)
+//
+// INVOICING_PROVIDER:
+//   "afip" -> WSFEv1 de AFIP (requiere AFIP_CUIT, AFIP_CERT, AFIP_KEY)
+//   "mock" -> CAE falso, sin red (desarrollo / pruebas)
+//   vacío  -> sin CAE (numeración interna, como antes)
+const INVOICING_PROVIDER = (process.env.INVOICING_PROVIDER || "").toLowerCase();
+
+// Tipos de comprobante AFIP (monotributo: Factura C = 11, Recibo C = 15,
+// Nota de Crédito C = 13)
+const AFIP_VOUCHER_TYPES = {
+  invoice: Number(process.env.AFIP_CBTE_TIPO_INVOICE || 11),
+  receipt: Number(process.env.AFIP_CBTE_TIPO_RECEIPT || 15),
+  credit_note: Number(process.env.AFIP_CBTE_TIPO_CREDIT_NOTE || 13),
+};
+
+const AFIP_URLS = {
+  homologacion: {
+    wsaa: "https://wsaahomo.afip.gov.ar/ws/services/LoginCms",
+    wsfe: "https://wswhomo.afip.gov.ar/wsfev1/service.asmx",
+  },
+  produccion: {
+    wsaa: "https://wsaa.afip.gov.ar/ws/services/LoginCms",
+    wsfe: "https://servicios1.afip.gov.ar/wsfev1/service.asmx",
+  },
+};
+
+// "20260131" <- Date
+function afipDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+// Primer y último día del mes "YYYY-MM" en formato AFIP
+function afipPeriod(monthYear) {
+  const [y, m] = monthYear.split("-").map(Number);
+  const from = new Date(Date.UTC(y, m - 1, 1));
+  const to = new Date(Date.UTC(y, m, 0));
+  return { from: afipDate(from), to: afipDate(to) };
+}
+
+// Contenido del tag (sin namespace) en una respuesta SOAP
+function xmlTag(xml, tag) {
+  const m = String(xml).match(
+    new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`)
+  );
+  return m ? m[1].trim() : null;
+}
+
+function xmlUnescape(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// PEM directo en la variable o path a un archivo
+function readPem(value) {
+  if (!value) return null;
+  if (value.includes("-----BEGIN")) return value.replace(/\\n/g, "\n");
+  return fs.readFileSync(value, "utf8");
+}
+
+async function soapCall(url, action, body) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "text/xml; charset=utf-8",
+      SOAPAction: action,
+    },
+    body,
+  });
+  const text = await resp.text();
+  if (!resp.ok) {
+    const fault = xmlTag(text, "faultstring");
+    throw new Error(`AFIP ${resp.status}: ${fault || text.slice(0, 200)}`);
+  }
+  return text;
+}
+
+// El ticket de acceso (TA) de WSAA se guarda en la tabla afip_tickets
+// (Supabase): key text PK, token text, sign text, expires_at timestamptz,
+// updated_at timestamptz. AFIP no da otro TA mientras el anterior siga
+// vigente (~12 h), así que después de un reinicio hay que reusar ese.
+function createAfipWsfeProvider({ cuit, cert, key, env }) {
+  const urls = AFIP_URLS[env] || AFIP_URLS.homologacion;
+  const ticketKey = `${env}:${cuit}:wsfe`;
+  let ticket = null; // { token, sign, expiresAt }
+
+  const isFresh = (t) => t && t.expiresAt > Date.now() + 60 * 1000;
+
+  async function loadStoredTicket() {
+    const { data, error } = await supabase
+      .from("afip_tickets")
+      .select("token, sign, expires_at")
+      .eq("key", ticketKey)
+      .maybeSingle();
+    if (error) {
+      console.error("Error leyendo afip_tickets:", error);
+      return null;
+    }
+    return data
+      ? { token: data.token, sign: data.sign, expiresAt: Date.parse(data.expires_at) }
+      : null;
+  }
+
+  async function storeTicket(t) {
+    const { error } = await supabase.from("afip_tickets").upsert(
+      {
+        key: ticketKey,
+        token: t.token,
+        sign: t.sign,
+        expires_at: new Date(t.expiresAt).toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "key" }
+    );
+    if (error) console.error("Error guardando afip_tickets:", error);
+  }
+
+  // AFIP numera con "último autorizado + 1": los pedidos de esta instancia
+  // van de a uno (con varias instancias AFIP rechaza el número repetido)
+  let queue = Promise.resolve();
+  function serialized(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // WSAA: ticket de acceso firmado con el certificado (dura ~12 h)
+  async function login() {
+    if (isFresh(ticket)) return ticket;
+
+    const stored = await loadStoredTicket();
+    if (isFresh(stored)) {
+      ticket = stored;
+      return ticket;
+    }
+
+    const now = Date.now();
+    const tra = `<?xml version="1.0" encoding="UTF-8"?>
+<loginTicketRequest version="1.0">
+  <header>
+    <uniqueId>${Math.floor(now / 1000)}</uniqueId>
+    <generationTime>${new Date(now - 10 * 60 * 1000).toISOString()}</generationTime>
+    <expirationTime>${new Date(now + 10 * 60 * 1000).toISOString()}</expirationTime>
+  </header>
+  <service>wsfe</service>
+</loginTicketRequest>`;
+
+    const p7 = forge.pkcs7.createSignedData();
+    p7.content = forge.util.createBuffer(tra, "utf8");
+    p7.addCertificate(cert);
+    p7.addSigner({
+      key: forge.pki.privateKeyFromPem(key),
+      certificate: cert,
+      digestAlgorithm: forge.pki.oids.sha256,
+      authenticatedAttributes: [
+        { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+        { type: forge.pki.oids.messageDigest },
+        { type: forge.pki.oids.signingTime, value: new Date() },
+      ],
+    });
+    p7.sign();
+    const cms = forge.util.encode64(forge.asn1.toDer(p7.toAsn1()).getBytes());
+
+    const xml = await soapCall(
+      urls.wsaa,
+      "",
+      `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:wsaa="http://wsaa.view.sua.dvadac.desein.afip.gov">
+  <soapenv:Body><wsaa:loginCms><wsaa:in0>${cms}</wsaa:in0></wsaa:loginCms></soapenv:Body>
+</soapenv:Envelope>`
+    );
+
+    const ta = xmlUnescape(xmlTag(xml, "loginCmsReturn") || "");
+    const token = xmlTag(ta, "token");
+    const sign = xmlTag(ta, "sign");
+    const expiration = xmlTag(ta, "expirationTime");
+    if (!token || !sign) throw new Error("AFIP WSAA: respuesta sin token");
+
+    ticket = { token, sign, expiresAt: new Date(expiration).getTime() };
+    await storeTicket(ticket);
+    return ticket;
+  }
+
+  function authXml({ token, sign }) {
+    return `<ar:Auth><ar:Token>${token}</ar:Token><ar:Sign>${sign}</ar:Sign><ar:Cuit>${cuit}</ar:Cuit></ar:Auth>`;
+  }
+
+  function envelope(inner) {
+    return `<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ar="http://ar.gov.afip.dif.FEV1/">
+  <soapenv:Body>${inner}</soapenv:Body>
+</soapenv:Envelope>`;
+  }
+
+  async function lastVoucher(auth, pointOfSale, voucherType) {
+    const xml = await soapCall(
+      urls.wsfe,
+      "http://ar.gov.afip.dif.FEV1/FECompUltimoAutorizado",
+      envelope(`<ar:FECompUltimoAutorizado>${authXml(auth)}
+  <ar:PtoVta>${pointOfSale}</ar:PtoVta><ar:CbteTipo>${voucherType}</ar:CbteTipo>
+</ar:FECompUltimoAutorizado>`)
+    );
+    return Number(xmlTag(xml, "CbteNro") || 0);
+  }
+
+  return {
+    name: "afip",
+    // associated (notas de crédito) = { voucherType, pointOfSale, number, issuedAt }
+    authorize(params) {
+      return serialized(() => this.authorizeNow(params));
+    },
+
+    async authorizeNow({ docType, pointOfSale, amount, currency, customer, issuedAt, periodo, associated }) {
+      if ((currency || "ARS") !== "ARS") {
+        throw new Error("AFIP: solo se facturan cuotas en ARS");
+      }
+
+      const auth = await login();
+      const voucherType = AFIP_VOUCHER_TYPES[docType];
+      const voucherNumber = (await lastVoucher(auth, pointOfSale, voucherType)) + 1;
+
+      const dni = String(customer?.dni || "").replace(/\D/g, "");
+      // 96 = DNI, 99 = consumidor final sin identificar
+      const docTipo = dni ? 96 : 99;
+      const docNro = dni || "0";
+      const total = Number(amount).toFixed(2);
+      const period = afipPeriod(periodo);
+      const fecha = afipDate(issuedAt);
+      const cbtesAsoc = associated
+        ? `
+      <ar:CbtesAsoc><ar:CbteAsoc>
+        <ar:Tipo>${associated.voucherType}</ar:Tipo><ar:PtoVta>${associated.pointOfSale}</ar:PtoVta>
+        <ar:Nro>${associated.number}</ar:Nro><ar:Cuit>${cuit}</ar:Cuit>
+        <ar:CbteFch>${afipDate(new Date(associated.issuedAt))}</ar:CbteFch>
+      </ar:CbteAsoc></ar:CbtesAsoc>`
+        : "";
+
+      const xml = await soapCall(
+        urls.wsfe,
+        "http://ar.gov.afip.dif.FEV1/FECAESolicitar",
+        envelope(`<ar:FECAESolicitar>${authXml(auth)}
+  <ar:FeCAEReq>
+    <ar:FeCabReq><ar:CantReg>1</ar:CantReg><ar:PtoVta>${pointOfSale}</ar:PtoVta><ar:CbteTipo>${voucherType}</ar:CbteTipo></ar:FeCabReq>
+    <ar:FeDetReq><ar:FECAEDetRequest>
+      <ar:Concepto>2</ar:Concepto>
+      <ar:DocTipo>${docTipo}</ar:DocTipo><ar:DocNro>${docNro}</ar:DocNro>
+      <ar:CbteDesde>${voucherNumber}</ar:CbteDesde><ar:CbteHasta>${voucherNumber}</ar:CbteHasta>
+      <ar:CbteFch>${fecha}</ar:CbteFch>
+      <ar:ImpTotal>${total}</ar:ImpTotal><ar:ImpTotConc>0</ar:ImpTotConc>
+      <ar:ImpNeto>${total}</ar:ImpNeto><ar:ImpOpEx>0</ar:ImpOpEx>
+      <ar:ImpTrib>0</ar:ImpTrib><ar:ImpIVA>0</ar:ImpIVA>
+      <ar:FchServDesde>${period.from}</ar:FchServDesde><ar:FchServHasta>${period.to}</ar:FchServHasta>
+      <ar:FchVtoPago>${fecha}</ar:FchVtoPago>
+      <ar:MonId>PES</ar:MonId><ar:MonCotiz>1</ar:MonCotiz>
+      <ar:CondicionIVAReceptorId>5</ar:CondicionIVAReceptorId>${cbtesAsoc}
+    </ar:FECAEDetRequest></ar:FeDetReq>
+  </ar:FeCAEReq>
+</ar:FECAESolicitar>`)
+      );
+
+      const resultado = xmlTag(xml, "Resultado");
+      const cae = xmlTag(xml, "CAE");
+      if (resultado !== "A" || !cae) {
+        const detail = xmlTag(xml, "Msg") || xmlTag(xml, "Errors") || "sin detalle";
+        throw new Error(`AFIP rechazó el comprobante: ${xmlUnescape(detail)}`);
+      }
+
+      const vto = xmlTag(xml, "CAEFchVto") || "";
+      return {
+        cae,
+        cae_expires_at: `${vto.slice(0, 4)}-${vto.slice(4, 6)}-${vto.slice(6, 8)}`,
+        voucher_type: voucherType,
+        voucher_number: voucherNumber,
+      };
+    },
+  };
+}
+
+// Mismo contrato que AFIP pero sin red: numeración local y CAE inventado
+function createMockInvoicingProvider() {
+  return {
+    name: "mock",
+    async authorize({ docType, pointOfSale, issuedAt }) {
+      const voucherNumber = await nextInvoiceNumber(pointOfSale, `mock-${docType}`);
+      const expires = new Date(issuedAt.getTime() + 10 * 24 * 60 * 60 * 1000);
+      return {
+        cae: String(crypto.randomInt(1e6, 1e7)) + String(crypto.randomInt(1e6, 1e7)),
+        cae_expires_at: expires.toISOString().slice(0, 10),
+        voucher_type: AFIP_VOUCHER_TYPES[docType],
+        voucher_number: voucherNumber,
+      };
+    },
+  };
+}
+
+let invoicingProvider = null;
+
+if (INVOICING_PROVIDER === "afip") {
+  const certPem = readPem(process.env.AFIP_CERT);
+  const keyPem = readPem(process.env.AFIP_KEY);
+  if (!process.env.AFIP_CUIT || !certPem || !keyPem) {
+    console.error(
+      "❌ INVOICING_PROVIDER=afip requiere AFIP_CUIT, AFIP_CERT y AFIP_KEY"
+    );
+    process.exit(1);
+  }
+  invoicingProvider = createAfipWsfeProvider({
+    cuit: String(process.env.AFIP_CUIT).replace(/\D/g, ""),
+    cert: forge.pki.certificateFromPem(certPem),
+    key: keyPem,
+    env: process.env.AFIP_ENV || "homologacion",
+  });
+} else if (INVOICING_PROVIDER === "mock") {
+  invoicingProvider = createMockInvoicingProvider();
+} else if (INVOICING_PROVIDER) {
+  console.warn(`⚠️ INVOICING_PROVIDER desconocido: ${INVOICING_PROVIDER}`);
+}
+
+if (invoicingProvider) {
+  console.log(`[facturación] proveedor: ${invoicingProvider.name}`);
+}
+
+// =====================================================
+// FACTURAS / RECIBOS GENERADOS (PDF)
+// =====================================================
+// Numeración correlativa por punto de venta y tipo de comprobante.
+// Tabla invoice_sequences (Supabase):
+//   point_of_sale int, doc_type text, last_number int
+//   (unique point_of_sale + doc_type)
+const INVOICE_POINT_OF_SALE = Number(process.env.INVOICE_POINT_OF_SALE || 1);
+const INVOICE_ISSUER = {
+  name: process.env.INVOICE_ISSUER_NAME || "PauPau Languages",
+  cuit: process.env.INVOICE_ISSUER_CUIT || "",
+  address: process.env.INVOICE_ISSUER_ADDRESS || "",
+  email: ACADEMY_EMAIL || "",
+};
+const INVOICE_DOC_TYPES = {
+  invoice: "FACTURA",
+  receipt: "RECIBO DE PAGO",
+  credit_note: "NOTA DE CRÉDITO",
+};
+// Pagos que se pueden facturar
+const INVOICEABLE_STATUSES = ["paid", "approved"];
+// Columnas fiscales en invoices (con proveedor de facturación):
+//   fiscal_provider text, voucher_type int, voucher_number int,
+//   cae text, cae_expires_at date,
+//   associated_doc_type text, associated_voucher_type int,
+//   associated_voucher_number int   -> comprobante que anula una nota de crédito
+//   issuing_at timestamptz NULL      -> lock mientras se emite (ver claimInvoiceIssue)
+// Un comprobante con CAE no se pisa nunca: para cambiarlo se anula con
+// una nota de crédito (doc_type credit_note) y se emite el otro tipo.
+// INVOICE_AUTO_ISSUE=true factura sola cada cuota al quedar pagada
+const INVOICE_AUTO_ISSUE = process.env.INVOICE_AUTO_ISSUE === "true";
+const INVOICE_AUTO_DOC_TYPE = process.env.INVOICE_AUTO_DOC_TYPE || "invoice";
+
+// No bloquea al que marcó el pago: los errores quedan en el log
+function autoIssueInvoice(payment) {
+  if (!INVOICE_AUTO_ISSUE || !payment) return;
+  if (!INVOICEABLE_STATUSES.includes(payment.status)) return;
+  issueInvoiceForPayment(payment, { docType: INVOICE_AUTO_DOC_TYPE })
+    .then((r) => {
+      if (!r.ok && !r.skipped) {
+        console.warn("Factura automática no emitida:", payment.user_id, payment.month_year, r.msg);
+      }
+    })
+    .catch((err) => console.error("Error en factura automática:", err));
+}
+
+// Reserva el próximo número con control optimista (sin RPC)
+async function nextInvoiceNumber(pointOfSale, docType) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: seq, error } = await supabase
+      .from("invoice_sequences")
+      .select("last_number")
+      .eq("point_of_sale", pointOfSale)
+      .eq("doc_type", docType)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!seq) {
+      const { error: insErr } = await supabase
+        .from("invoice_sequences")
+        .insert({ point_of_sale: pointOfSale, doc_type: docType, last_number: 1 });
+      if (!insErr) return 1;
+      if (insErr.code === "23505") continue; // la creó otra request
+      throw insErr;
+    }
+
+    const next = Number(seq.last_number) + 1;
+    const { data: updated, error: updErr } = await supabase
+      .from("invoice_sequences")
+      .update({ last_number: next })
+      .eq("point_of_sale", pointOfSale)
+      .eq("doc_type", docType)
+      .eq("last_number", seq.last_number)
+      .select("last_number");
+    if (updErr) throw updErr;
+    if (updated && updated.length) return next;
+  }
+  throw new Error("No se pudo reservar el número de comprobante");
+}
+
+// "0001-00000042"
+function formatInvoiceNumber(pointOfSale, number) {
+  return `${String(pointOfSale).padStart(4, "0")}-${String(number).padStart(8, "0")}`;
+}
+
+function formatMoney(amount, currency = "ARS", locale = "es-AR") {
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+  }).format(Number(amount || 0));
+}
+
+// Arma el PDF y lo devuelve como Buffer
+function buildInvoicePdf({ docType, numberLabel, issuedAt, student, payment, extra = [] }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const studentName =
+      `${student.first_name || ""} ${student.last_name || ""}`.trim() ||
+      student.email ||
+      "Alumno";
+    const currency = payment.currency || "ARS";
+
+    // Encabezado con los colores de los mails
+    doc.rect(0, 0, doc.page.width, 110).fill("#4f46e5");
+    doc
+      .fillColor("#f9fafb")
+      .fontSize(24)
+      .font("Helvetica-Bold")
+      .text(INVOICE_ISSUER.name, 50, 35);
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .text("Conectamos personas con el mundo", 50, 68);
+    doc
+      .fontSize(14)
+      .font("Helvetica-Bold")
+      .text(INVOICE_DOC_TYPES[docType], 300, 35, { width: 245, align: "right" })
+      .fontSize(10)
+      .font("Helvetica")
+      .text(`N° ${numberLabel}`, 300, 58, { width: 245, align: "right" })
+      .text(`Fecha: ${issuedAt.toLocaleDateString("es-AR")}`, 300, 73, {
+        width: 245,
+        align: "right",
+      });
+
+    // Emisor / alumno
+    doc.fillColor("#111827").fontSize(10);
+    let y = 140;
+    doc.font("Helvetica-Bold").text("Emisor", 50, y);
+    doc.font("Helvetica-Bold").text("Alumno", 300, y);
+    y += 16;
+    doc.font("Helvetica");
+    const issuerLines = [
+      INVOICE_ISSUER.name,
+      INVOICE_ISSUER.cuit ? `CUIT: ${INVOICE_ISSUER.cuit}` : null,
+      INVOICE_ISSUER.address || null,
+      INVOICE_ISSUER.email || null,
+    ].filter(Boolean);
+    const studentLines = [
+      studentName,
+      student.dni ? `DNI: ${student.dni}` : null,
+      student.email || null,
+    ].filter(Boolean);
+    issuerLines.forEach((l, i) => doc.text(l, 50, y + i * 14));
+    studentLines.forEach((l, i) => doc.text(l, 300, y + i * 14));
+
+    // Detalle
+    y += Math.max(issuerLines.length, studentLines.length) * 14 + 30;
+    doc.rect(50, y, 495, 22).fill("#eef2ff");
+    doc
+      .fillColor("#111827")
+      .font("Helvetica-Bold")
+      .text("Concepto", 60, y + 6)
+      .text("Importe", 400, y + 6, { width: 135, align: "right" });
+    y += 30;
+    doc
+      .font("Helvetica")
+      .text(`Cuota mensual — ${payment.month_year}`, 60, y)
+      .text(formatMoney(payment.amount, currency), 400, y, {
+        width: 135,
+        align: "right",
+      });
+    y += 30;
+    doc.moveTo(50, y).lineTo(545, y).strokeColor("#d1d5db").stroke();
+    y += 10;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .text("Total", 60, y)
+      .text(formatMoney(payment.amount, currency), 400, y, {
+        width: 135,
+        align: "right",
+      });
+
+    if (docType === "receipt") {
+      y += 30;
+      doc
+        .font("Helvetica")
+        .fontSize(10)
+        .text(
+          `Recibimos el pago de la cuota ${payment.month_year}` +
+            (payment.source === "mercadopago" ? " a través de Mercado Pago." : "."),
+          50,
+          y
+        );
+    }
+
+    // Datos extra (ej: CAE)
+    if (extra.length) {
+      y += 40;
+      doc.font("Helvetica").fontSize(10).fillColor("#111827");
+      extra.forEach((l, i) => doc.text(l, 50, y + i * 14));
+    }
+
+    doc
+      .fontSize(9)
+      .fillColor("#6b7280")
+      .text(
+        `${INVOICE_ISSUER.name} — Instagram @paupaulanguages`,
+        50,
+        doc.page.height - 80,
+        { width: 495, align: "center" }
+      );
+
+    doc.end();
+  });
+}
+
+// Lock de emisión: una sola request por alumno + mes + tipo llega al
+// proveedor fiscal. Sin fila se inserta una vacía (el unique corta a la
+// segunda); con fila, update condicional de issuing_at. Un lock más viejo
+// que INVOICE_ISSUE_LOCK_MS es de un proceso que se cayó a mitad.
+const INVOICE_ISSUE_LOCK_MS = 5 * 60 * 1000;
+
+async function claimInvoiceIssue(payment, docType, existing) {
+  const now = new Date().toISOString();
+
+  if (!existing) {
+    const { data, error } = await supabase
+      .from("invoices")
+      .insert({
+        user_id: payment.user_id,
+        month_year: payment.month_year,
+        doc_type: docType,
+        issuing_at: now,
+        created_at: now,
+      })
+      .select()
+      .maybeSingle();
+    if (error?.code === "23505") return null;
+    if (error) throw error;
+    return { row: data, inserted: true };
+  }
+
+  const staleBefore = new Date(Date.now() - INVOICE_ISSUE_LOCK_MS).toISOString();
+  const { data, error } = await supabase
+    .from("invoices")
+    .update({ issuing_at: now })
+    .eq("id", existing.id)
+    .or(`issuing_at.is.null,issuing_at.lt."${staleBefore}"`)
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data ? { row: data, inserted: false } : null;
+}
+
+// Suelta el lock; la fila vacía que no llegó a tener número ni CAE se borra
+async function releaseInvoiceIssue(claim) {
+  const row = claim.row;
+  if (claim.inserted && row.invoice_number == null && !row.cae) {
+    const { error } = await supabase.from("invoices").delete().eq("id", row.id);
+    if (error) console.error("Error borrando comprobante vacío:", error);
+    return;
+  }
+  const { error } = await supabase
+    .from("invoices")
+    .update({ issuing_at: null })
+    .eq("id", row.id);
+  if (error) console.error("Error liberando lock de comprobante:", error);
+}
+
+// Nota de crédito que anula a un comprobante con CAE (o null)
+function creditNoteFor(row, rows) {
+  return (
+    rows.find(
+      (c) =>
+        c.doc_type === "credit_note" &&
+        c.cae &&
+        c.associated_voucher_type === row.voucher_type &&
+        c.associated_voucher_number === row.voucher_number
+    ) || null
+  );
+}
+
+// Genera el PDF de un pago, lo sube a Storage, guarda la fila en invoices
+// y avisa al alumno. Devuelve { ok, msg?, invoice? }.
+// docType "credit_note" anula el comprobante con CAE vigente del mes.
+async function issueInvoiceForPayment(payment, { docType = "invoice", force = false } = {}) {
+  if (!INVOICEABLE_STATUSES.includes(payment.status)) {
+    return { ok: false, msg: `El pago está "${payment.status}", no se puede facturar.` };
+  }
+
+  const { data: monthRows, error: exErr } = await supabase
+    .from("invoices")
+    .select("*")
+    .eq("user_id", payment.user_id)
+    .eq("month_year", payment.month_year);
+  if (exErr) throw exErr;
+
+  const rows = monthRows || [];
+  const existing = rows.find((r) => r.doc_type === docType) || null;
+
+  // Una fila sin archivo es un intento anterior que falló: se reintenta
+  if (existing?.file_path && !force) {
+    return { ok: false, msg: "Ya hay un comprobante de ese tipo para ese mes.", skipped: true };
+  }
+
+  // Comprobantes con CAE que siguen vigentes (sin nota de crédito)
+  const authorized = rows.filter(
+    (r) => r.cae && r.doc_type !== "credit_note" && !creditNoteFor(r, rows)
+  );
+
+  let target = null; // lo que anula la nota de crédito
+  if (docType === "credit_note") {
+    if (!existing?.cae) {
+      if (!invoicingProvider) {
+        return { ok: false, msg: "Las notas de crédito requieren un proveedor fiscal." };
+      }
+      target = authorized[0] || null;
+      if (!target) {
+        return { ok: false, msg: "No hay un comprobante con CAE vigente para anular ese mes." };
+      }
+      if (existing) {
+        return { ok: false, msg: "Ese mes ya tiene una nota de crédito en curso; reintentá esa." };
+      }
+    }
+  } else {
+    if (existing?.cae && creditNoteFor(existing, rows)) {
+      return {
+        ok: false,
+        msg: "Ese comprobante fue anulado con una nota de crédito; no se vuelve a emitir.",
+      };
+    }
+    const other = authorized.find((r) => r.doc_type !== docType);
+    if (other) {
+      return {
+        ok: false,
+        msg: `Ese mes ya tiene un comprobante con CAE (${INVOICE_DOC_TYPES[other.doc_type]} N° ${formatInvoiceNumber(other.point_of_sale, other.invoice_number)}). Anulalo con una nota de crédito antes de emitir otro tipo.`,
+      };
+    }
+  }
+
+  const { data: student, error: stErr } = await supabase
+    .from("profiles")
+    .select("*")
+    .eq("id", payment.user_id)
+    .maybeSingle();
+  if (stErr) throw stErr;
+  if (!student) return { ok: false, msg: "No se encontró el alumno." };
+
+  const claim = await claimInvoiceIssue(payment, docType, existing);
+  if (!claim) {
+    return { ok: false, msg: "Ese comprobante se está emitiendo en otra request.", skipped: true };
+  }
+  // Lo que dejó la otra request si terminó entre la lectura y el lock
+  const current = claim.row;
+  if (current.file_path && !force) {
+    await releaseInvoiceIssue(claim);
+    return { ok: false, msg: "Ya hay un comprobante de ese tipo para ese mes.", skipped: true };
+  }
+
+  try {
+    return await issueClaimedInvoice({ payment, docType, student, claim, target });
+  } catch (err) {
+    await releaseInvoiceIssue(claim);
+    throw err;
+  }
+}
+
+async function issueClaimedInvoice({ payment, docType, student, claim, target }) {
+  const current = claim.row;
+  const issuedAt = new Date();
+  // Nota de crédito: el importe del comprobante que anula
+  const baseAmount = target ? target.amount : current.cae ? current.amount : payment.amount;
+  const amountNumber = baseAmount != null ? Number(baseAmount) : null;
+  const associated = target
+    ? {
+        doc_type: target.doc_type,
+        voucher_type: target.voucher_type,
+        voucher_number: target.voucher_number,
+        label: formatInvoiceNumber(target.point_of_sale, target.invoice_number),
+      }
+    : current.associated_voucher_number != null
+    ? {
+        doc_type: current.associated_doc_type,
+        voucher_type: current.associated_voucher_type,
+        voucher_number: current.associated_voucher_number,
+        label: formatInvoiceNumber(current.point_of_sale, current.associated_voucher_number),
+      }
+    : null;
+
+  async function updateInvoiceRow(fields) {
+    const { data, error } = await supabase
+      .from("invoices")
+      .update(fields)
+      .eq("id", current.id)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    claim.row = data || { ...claim.row, ...fields };
+    return claim.row;
+  }
+
+  // Con proveedor fiscal el número lo da AFIP; sin proveedor, la secuencia interna
+  let fiscal = null;
+  if (current.cae) {
+    // Regenerar el PDF de un comprobante ya autorizado: no se pide otro CAE
+    fiscal = current;
+  } else if (invoicingProvider) {
+    try {
+      fiscal = await invoicingProvider.authorize({
+        docType,
+        pointOfSale: INVOICE_POINT_OF_SALE,
+        amount: amountNumber,
+        currency: payment.currency || "ARS",
+        customer: { dni: student.dni || null },
+        issuedAt,
+        periodo: payment.month_year,
+        associated: target
+          ? {
+              voucherType: target.voucher_type,
+              pointOfSale: target.point_of_sale,
+              number: target.voucher_number,
+              issuedAt: target.issued_at,
+            }
+          : null,
+      });
+    } catch (err) {
+      console.error(`Error pidiendo CAE (${invoicingProvider.name}):`, err);
+      await releaseInvoiceIssue(claim);
+      return { ok: false, msg: `No se pudo obtener el CAE: ${err.message}` };
+    }
+
+    // El CAE se guarda apenas AFIP lo da, antes del PDF
+    await updateInvoiceRow({
+      amount: amountNumber,
+      point_of_sale: INVOICE_POINT_OF_SALE,
+      invoice_number: fiscal.voucher_number,
+      issued_at: issuedAt.toISOString(),
+      fiscal_provider: invoicingProvider.name,
+      voucher_type: fiscal.voucher_type,
+      voucher_number: fiscal.voucher_number,
+      cae: fiscal.cae,
+      cae_expires_at: fiscal.cae_expires_at,
+      associated_doc_type: associated?.doc_type ?? null,
+      associated_voucher_type: associated?.voucher_type ?? null,
+      associated_voucher_number: associated?.voucher_number ?? null,
+    });
+  }
+
+  // Regenerar (o reintentar) conserva el número ya reservado; uno nuevo
+  // queda guardado en la fila antes del PDF para no dejar huecos
+  let number = fiscal ? fiscal.voucher_number : current.invoice_number;
+  if (number == null) {
+    number = await nextInvoiceNumber(INVOICE_POINT_OF_SALE, docType);
+    await updateInvoiceRow({
+      amount: amountNumber,
+      point_of_sale: INVOICE_POINT_OF_SALE,
+      invoice_number: number,
+      issued_at: issuedAt.toISOString(),
+    });
+  }
+  const numberLabel = formatInvoiceNumber(INVOICE_POINT_OF_SALE, number);
+
+  let fileName;
+  let fileHash;
+  try {
+    const pdf = await buildInvoicePdf({
+      docType,
+      numberLabel,
+      issuedAt,
+      student,
+      payment: { ...payment, amount: amountNumber },
+      extra: [
+        ...(associated
+          ? [`Anula: ${INVOICE_DOC_TYPES[associated.doc_type]} N° ${associated.label}`]
+          : []),
+        ...(fiscal
+          ? [`CAE: ${fiscal.cae}`, `Vencimiento CAE: ${fiscal.cae_expires_at}`]
+          : []),
+      ],
+    });
+
+    fileName = `${payment.user_id}/${payment.month_year}-${docType}-${numberLabel}.pdf`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(INVOICES_BUCKET)
+      .upload(fileName, pdf, {
+        contentType: "application/pdf",
+        upsert: true,
+      });
+    if (uploadError) throw uploadError;
+    fileHash = sha256(pdf);
+  } catch (err) {
+    // Número / CAE ya guardados en la fila: el próximo intento los reusa
+    console.error("Error generando PDF de comprobante:", err);
+    await releaseInvoiceIssue(claim);
+    return {
+      ok: false,
+      msg: fiscal
+        ? "CAE obtenido pero falló el PDF; volvé a generarlo."
+        : "Falló el PDF; el número quedó reservado, volvé a generarlo.",
+      invoice: claim.row,
+    };
+  }
+
+  const invoice = await updateInvoiceRow({
+    amount: amountNumber,
+    file_path: fileName,
+    file_url: null,
+    file_sha256: fileHash,
+    issuing_at: null,
+  });
+
+  if (docType !== "credit_note") {
+    await notifyInvoiceAvailable(
+      payment.user_id,
+      payment.month_year,
+      amountNumber,
+      payment.currency
+    );
+  }
+
+  return { ok: true, invoice };
+}
+
+// POST /admin/invoices/generate
+// Body: { user_id, month: "YYYY-MM", type?: "invoice" | "receipt" | "credit_note", force? }
+// credit_note anula el comprobante con CAE de ese mes.
+app.post("/admin/invoices/generate", requireCampusAdmin, async (req, res) => {
+  try {
+    const { user_id, month, type = "invoice", force } = req.body || {};
+
+    if (!user_id || !month) {
+      return res.json({ ok: false, msg: "Faltan user_id o month." });
+    }
+    if (!INVOICE_DOC_TYPES[type]) {
+      return res.json({ ok: false, msg: "type debe ser invoice, receipt o credit_note." });
+    }
+
+    const payment = await getPaymentRow(user_id, month);
+    if (!payment) {
+      return res.json({ ok: false, msg: "No hay pago registrado para ese mes." });
+    }
+
+    const result = await issueInvoiceForPayment(payment, {
+      docType: type,
+      force: !!force,
+    });
+
+    if (result.ok) {
+      await auditLog(req, {
+        action: "invoice.generate",
+        targetType: "invoice",
+        targetId: `${user_id}:${month}`,
+        after: result.invoice,
+      });
+    }
+
+    return res.json({
+      ok: result.ok,
+      msg: result.msg,
+      invoice: withoutPublicUrl(result.invoice),
+    });
+  } catch (err) {
+    console.error("Error /admin/invoices/generate:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// POST /admin/invoices/generate-month
+// Body: { month: "YYYY-MM", type?: "invoice" | "receipt" }
+// Factura todos los pagos cobrados del mes que todavía no tienen factura.
+app.post("/admin/invoices/generate-month", requireCampusAdmin, async (req, res) => {
+  try {
+    const { month, type = "invoice" } = req.body || {};
+
+    if (!month) {
+      return res.json({ ok: false, msg: "Falta month." });
+    }
+    if (!["invoice", "receipt"].includes(type)) {
+      return res.json({ ok: false, msg: "type debe ser invoice o receipt." });
+    }
+
+    const { data: payments, error } = await supabase
+      .from("payments")
+      .select("*")
+      .eq("month_year", month)
+      .in("status", INVOICEABLE_STATUSES);
+
+    if (error) {
+      console.error("Error buscando pagos del mes:", error);
+      return res.json({ ok: false, msg: "Error consultando pagos" });
+    }
+
+    const results = [];
+    for (const payment of payments || []) {
+      try {
+        const r = await issueInvoiceForPayment(payment, { docType: type });
+        results.push({
+          user_id: payment.user_id,
+          ok: r.ok,
+          skipped: !!r.skipped,
+          msg: r.msg,
+          invoice_number: r.invoice?.invoice_number ?? null,
+        });
+      } catch (err) {
+        console.error("Error facturando pago", payment.user_id, err);
+        results.push({ user_id: payment.user_id, ok: false, msg: "Error interno" });
+      }
+    }
+
+    const issued = results.filter((r) => r.ok).length;
+
+    await auditLog(req, {
+      action: "invoice.generate_month",
+      targetType: "month",
+      targetId: month,
+      after: { type, issued, total: results.length },
+    });
+
+    return res.json({ ok: true, issued, results });
+  } catch (err) {
+    console.error("Error /admin/invoices/generate-month:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// GET /invoices/user?user_id=...&month=YYYY-MM
+app.get("/invoices/user", requireAuth, async (req, res) => {
+  try {
+    const { user_id, month } = req.query || {};
+    if (!user_id) {
       return res.json({ ok: false, msg: "Falta user_id" });
     }
 
-    let query = supabase.from("payments").select("*").eq("user_id", user_id);
+    if (!(await canAccessStudent(req.user, user_id))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    let query = supabase.from("invoices").select("*").eq("user_id", user_id);
+
+    if (month) {
+      query = query.eq("month_year", month);
+    }
+
+    const { data, error } = await query.order("created_at", {
+      ascending: false,
+    });
+
+    if (error) {
+      console.error("Error /invoices/user:", error);
+      return res.json({
+        ok: false,
+        msg: "Error consultando facturas del usuario",
+      });
+    }
+
+    return res.json({ ok: true, invoices: withoutPublicUrls(data) });
+  } catch (err) {
+    console.error("Error general /invoices/user:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// DESCARGAR FACTURA (URL firmada: dueño, su profe o admin)
+// GET /invoices/download?user_id=...&month=YYYY-MM&type=invoice|receipt
+app.get("/invoices/download", requireAuth, async (req, res) => {
+  try {
+    return await sendSignedDownload(req, res, {
+      table: "invoices",
+      pathCol: "file_path",
+      urlCol: "file_url",
+      bucket: INVOICES_BUCKET,
+      docType: true,
+    });
+  } catch (err) {
+    console.error("Error /invoices/download:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// GET /admin/invoices/summary?month=YYYY-MM
+app.get("/admin/invoices/summary", requireCampusAdmin, async (req, res) => {
+  try {
+    const { month } = req.query || {};
+    const monthYear = month || new Date().toISOString().slice(0, 7);
+
+    const { data, error } = await supabase
+      .from("invoices")
+      .select("*")
+      .eq("month_year", monthYear)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Error /admin/invoices/summary:", error);
+      return res.json({
+        ok: false,
+        msg: "Error consultando facturas del mes",
+      });
+    }
+
+    return res.json({ ok: true, invoices: withoutPublicUrls(data) });
+  } catch (err) {
+    console.error("Error general /admin/invoices/summary:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// REPORTES — recaudación / inscripciones / bajas
+// =====================================================
+// Combina cuotas del campus (payments + invoices en Supabase), las
+// inscripciones nuevas que registra el webhook (Postgres) y los cobros
+// genéricos de /mp/create-preference (generic_payments, Supabase).
+
+const REPORT_DIMENSIONS = ["month", "source", "teacher", "modality", "programa", "currency", "coupon"];
+const REPORT_DIMENSION_HEADERS = {
+  month: "Mes",
+  source: "Origen",
+  teacher: "Profesor",
+  modality: "Modalidad",
+  programa: "Programa",
+  currency: "Moneda",
+  coupon: "Cupón",
+};
+
+// "YYYY-MM" de hace n meses (n=0 -> mes actual)
+function monthOffset(n) {
+  const d = new Date();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() - n);
+  return d.toISOString().slice(0, 7);
+}
+
+function previousMonth(monthYear) {
+  const [y, m] = monthYear.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 2, 1)).toISOString().slice(0, 7);
+}
+
+function monthsBetween(from, to) {
+  const out = [];
+  for (let m = to; m >= from && out.length < 120; m = previousMonth(m)) {
+    out.unshift(m);
+  }
+  return out;
+}
+
+// from/to por query (YYYY-MM), por defecto los últimos 12 meses
+function reportRange(query) {
+  const from = query.from || monthOffset(11);
+  const to = query.to || monthOffset(0);
+  if (!/^\d{4}-\d{2}$/.test(from) || !/^\d{4}-\d{2}$/.test(to) || from > to) {
+    return null;
+  }
+  return { from, to };
+}
+
+// Cuotas cobradas del campus, una línea por pago
+// Facturado = facturas (doc_type invoice) menos las notas de crédito que
+// las anulan; los recibos no son facturas.
+async function campusRevenueLines({ from, to }) {
+  const payments = await selectAllRows(() =>
+    supabase
+      .from("payments")
+      .select("user_id, month_year, amount, currency, status, source, mp_payment_id")
+      .gte("month_year", from)
+      .lte("month_year", to)
+      .in("status", INVOICEABLE_STATUSES)
+      .order("user_id")
+      .order("month_year")
+  );
+
+  const invoices = await selectAllRows(() =>
+    supabase
+      .from("invoices")
+      .select("user_id, month_year, amount, doc_type, associated_doc_type, issuing_at")
+      .in("doc_type", ["invoice", "credit_note"])
+      .gte("month_year", from)
+      .lte("month_year", to)
+      .order("user_id")
+      .order("month_year")
+      .order("doc_type")
+  );
+
+  const profiles = await selectAllRows(() =>
+    supabase
+      .from("profiles")
+      .select("id, first_name, last_name, email, teacher_id, class_modality")
+      .order("id")
+  );
+
+  const byId = new Map(profiles.map((p) => [p.id, p]));
+  const invoiced = new Map();
+  for (const i of invoices) {
+    if (i.issuing_at) continue; // emisión en curso, todavía sin comprobante
+    if (i.doc_type === "credit_note" && i.associated_doc_type !== "invoice") continue;
+    const key = `${i.user_id}:${i.month_year}`;
+    if (!invoiced.has(key)) invoiced.set(key, []);
+    invoiced.get(key).push(i);
+  }
+
+  return payments.map((p) => {
+    const student = byId.get(p.user_id);
+    const teacher = byId.get(student?.teacher_id);
+    return {
+      month: p.month_year,
+      source: "campus",
+      teacher: fullName(teacher) || teacher?.email || null,
+      modality: student?.class_modality || null,
+      programa: null,
+      currency: p.currency || "ARS",
+      coupon: null,
+      amount: Number(p.amount || 0),
+      // sin importe en la factura (importadas) se toma el del pago
+      invoiced_amount: (invoiced.get(`${p.user_id}:${p.month_year}`) || []).reduce(
+        (acc, i) =>
+          acc + (i.doc_type === "credit_note" ? -1 : 1) * Number(i.amount ?? p.amount ?? 0),
+        0
+      ),
+    };
+  });
+}
+
+// Inscripciones nuevas aprobadas (las revertidas no suman)
+async function inscripcionRevenueLines({ from, to }) {
+  if (!pool) return [];
+  const r = await pool.query(
+    `
+    SELECT to_char(approved_at, 'YYYY-MM') AS month, teacher, modalidad,
+           programa, currency, coupon_code, amount::float AS amount
+      FROM inscripciones
+     WHERE status = 'approved'
+       AND to_char(approved_at, 'YYYY-MM') BETWEEN $1 AND $2
+    `,
+    [from, to]
+  );
+  return r.rows.map((x) => ({
+    month: x.month,
+    source: "inscripcion",
+    teacher: x.teacher,
+    modality: x.modalidad,
+    programa: x.programa,
+    currency: x.currency,
+    coupon: x.coupon_code,
+    amount: Number(x.amount || 0),
+    invoiced_amount: 0,
+  }));
+}
+
+// Cobros genéricos aprobados (links de pago, cupones), por mes de pago
+async function genericRevenueLines({ from, to }) {
+  const [y, m] = to.split("-").map(Number);
+  const { data, error } = await supabase
+    .from("generic_payments")
+    .select("final_amount, paid_amount, currency, coupon_code, paid_at")
+    .eq("status", "approved")
+    .gte("paid_at", `${from}-01T00:00:00Z`)
+    .lt("paid_at", new Date(Date.UTC(y, m, 1)).toISOString());
+  if (error) throw error;
+
+  return (data || []).map((g) => ({
+    month: String(g.paid_at).slice(0, 7),
+    source: "generic",
+    teacher: null,
+    modality: null,
+    programa: null,
+    currency: g.currency || "ARS",
+    coupon: g.coupon_code || null,
+    amount: Number(g.paid_amount ?? g.final_amount ?? 0),
+    invoiced_amount: 0,
+  }));
+}
+
+function groupRevenue(lines, dims) {
+  const groups = new Map();
+  for (const l of lines) {
+    const key = dims.map((d) => l[d] ?? "").join("|");
+    let g = groups.get(key);
+    if (!g) {
+      g = Object.fromEntries(dims.map((d) => [d, l[d] ?? null]));
+      g.count = 0;
+      g.amount = 0;
+      g.invoiced_amount = 0;
+      groups.set(key, g);
+    }
+    g.count++;
+    g.amount += l.amount;
+    g.invoiced_amount += l.invoiced_amount;
+  }
+  return [...groups.values()].sort((a, b) =>
+    dims.map((d) => String(a[d] ?? "")).join("|").localeCompare(
+      dims.map((d) => String(b[d] ?? "")).join("|")
+    )
+  );
+}
+
+// GET /admin/reports/revenue?from=YYYY-MM&to=YYYY-MM
+//   &group_by=month,teacher (month, source, teacher, modality, programa, currency, coupon)
+//   &source=all|campus|inscripcion|generic &teacher=&modality=&programa=&coupon=&format=json|csv
+// Siempre se agrupa también por moneda para no sumar ARS con USD.
+app.get("/admin/reports/revenue", requireCampusAdmin, async (req, res) => {
+  try {
+    const range = reportRange(req.query || {});
+    if (!range) {
+      return res.json({ ok: false, msg: "from/to deben ser YYYY-MM y from <= to." });
+    }
+
+    const { source = "all", teacher, modality, programa, coupon, format } = req.query;
+    const dims = String(req.query.group_by || "month")
+      .split(",")
+      .map((d) => d.trim())
+      .filter(Boolean);
+    if (!dims.every((d) => REPORT_DIMENSIONS.includes(d))) {
+      return res.json({
+        ok: false,
+        msg: `group_by admite: ${REPORT_DIMENSIONS.join(", ")}.`,
+      });
+    }
+    if (!dims.includes("currency")) dims.push("currency");
+
+    const lines = [
+      ...(source === "all" || source === "campus" ? await campusRevenueLines(range) : []),
+      ...(source === "all" || source === "inscripcion"
+        ? await inscripcionRevenueLines(range)
+        : []),
+      ...(source === "all" || source === "generic" ? await genericRevenueLines(range) : []),
+    ]
+      .filter((l) => !teacher || l.teacher === teacher)
+      .filter((l) => !modality || l.modality === modality)
+      .filter((l) => !programa || l.programa === programa)
+      .filter(
+        (l) =>
+          !coupon ||
+          normalizeCouponCode(l.coupon).toLowerCase() ===
+            normalizeCouponCode(coupon).toLowerCase()
+      );
+
+    const rows = groupRevenue(lines, dims);
+
+    const sent = await sendExport(res, format, `recaudacion-${range.from}-${range.to}`, [
+      {
+        name: "Recaudación",
+        columns: [
+          ...dims.map((d) => ({ key: d, header: REPORT_DIMENSION_HEADERS[d] })),
+          { key: "count", header: "Pagos" },
+          { key: "amount", header: "Importe" },
+          { key: "invoiced_amount", header: "Facturado" },
+        ],
+        rows,
+      },
+    ]);
+    if (sent) return;
+
+    return res.json({ ok: true, ...range, group_by: dims, rows });
+  } catch (err) {
+    console.error("Error /admin/reports/revenue:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// GET /admin/reports/students?from=YYYY-MM&to=YYYY-MM&format=json|csv
+// Por mes:
+//   new_enrollments -> inscripciones aprobadas (webhook)
+//   reversed        -> inscripciones devueltas / contracargo
+//   active          -> alumnos con cuota cobrada o exenta en el mes
+//   new_payers      -> activos que no lo estaban el mes anterior
+//   churned         -> activos el mes anterior que este mes no
+app.get("/admin/reports/students", requireCampusAdmin, async (req, res) => {
+  try {
+    const range = reportRange(req.query || {});
+    if (!range) {
+      return res.json({ ok: false, msg: "from/to deben ser YYYY-MM y from <= to." });
+    }
+    const months = monthsBetween(range.from, range.to);
+
+    const { data: payments, error } = await supabase
+      .from("payments")
+      .select("user_id, month_year, status")
+      .gte("month_year", previousMonth(range.from))
+      .lte("month_year", range.to)
+      .in("status", [...INVOICEABLE_STATUSES, "exempt"]);
+    if (error) throw error;
+
+    const activeByMonth = new Map();
+    for (const p of payments || []) {
+      if (!activeByMonth.has(p.month_year)) activeByMonth.set(p.month_year, new Set());
+      activeByMonth.get(p.month_year).add(p.user_id);
+    }
+
+    const enrollments = new Map();
+    if (pool) {
+      const r = await pool.query(
+        `
+        SELECT to_char(approved_at, 'YYYY-MM') AS month,
+               count(*)::int AS new_enrollments,
+               count(*) FILTER (WHERE status <> 'approved')::int AS reversed
+          FROM inscripciones
+         WHERE to_char(approved_at, 'YYYY-MM') BETWEEN $1 AND $2
+         GROUP BY 1
+        `,
+        [range.from, range.to]
+      );
+      r.rows.forEach((x) => enrollments.set(x.month, x));
+    }
+
+    const rows = months.map((month) => {
+      const active = activeByMonth.get(month) || new Set();
+      const prev = activeByMonth.get(previousMonth(month)) || new Set();
+      return {
+        month,
+        new_enrollments: enrollments.get(month)?.new_enrollments || 0,
+        reversed: enrollments.get(month)?.reversed || 0,
+        active: active.size,
+        new_payers: [...active].filter((id) => !prev.has(id)).length,
+        churned: [...prev].filter((id) => !active.has(id)).length,
+      };
+    });
+
+    const sent = await sendExport(res, req.query.format, `alumnos-${range.from}-${range.to}`, [
+      {
+        name: "Alumnos",
+        columns: [
+          { key: "month", header: "Mes" },
+          { key: "new_enrollments", header: "Inscripciones" },
+          { key: "reversed", header: "Revertidas" },
+          { key: "active", header: "Activos" },
+          { key: "new_payers", header: "Altas" },
+          { key: "churned", header: "Bajas" },
+        ],
+        rows,
+      },
+    ]);
+    if (sent) return;
+
+    return res.json({ ok: true, ...range, rows });
+  } catch (err) {
+    console.error("Error /admin/reports/students:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// =====================================================
+// CHAT — mensajes + notificaciones
+// =====================================================
+// Tabla messages (Supabase):
+//   id, room, sender_id, content, attachment jsonb NULL, created_at
+// Tabla chat_reads (Supabase), hasta dónde leyó cada uno:
+//   user_id uuid, room text, last_read_at timestamptz,
+//   last_read_message_id, updated_at   (unique user_id + room)
+const MAX_CHAT_MESSAGE_LENGTH = Number(process.env.MAX_CHAT_MESSAGE_LENGTH || 4000);
+
+// urgent llega como booleano (JSON) o como texto (form-data): "false" o
+// "0" no cuentan como urgente
+function isUrgentFlag(value) {
+  return ["true", "1"].includes(String(value).trim().toLowerCase());
+}
+
+function chatRoomName(studentId, teacherId) {
+  return `room_${studentId}_${teacherId}`;
+}
+
+// Para escribir no alcanza con figurar en el nombre de la sala: tiene que
+// ser un alumno con su profe asignado (admin: cualquier sala válida) y la
+// sala tiene que llamarse exactamente chatRoomName(alumno, profe): el orden
+// invertido sería otra sala con los mismos dos.
+// Devuelve { ok, participants } con los perfiles de la sala.
+async function getRoomMembership(user, room) {
+  const ids = roomParticipants(room);
+  if (ids.length !== 2) return { ok: false };
+
+  const { data: profiles, error } = await supabase
+    .from("profiles")
+    .select("id, role, teacher_id, email, first_name, last_name")
+    .in("id", ids);
+  if (error) throw error;
+  if (!profiles || profiles.length !== 2) return { ok: false };
+
+  const student = profiles.find((p) => p.role === "student");
+  const teacher = profiles.find((p) => p.id !== student?.id);
+  const validPair =
+    !!student &&
+    !!teacher &&
+    student.teacher_id === teacher.id &&
+    String(room).toLowerCase() === chatRoomName(student.id, teacher.id).toLowerCase();
+
+  const isParticipant = ids.includes(String(user.id).toLowerCase());
+  const ok = validPair && (user.role === "admin" || isParticipant);
+  return { ok, participants: profiles };
+}
+
+// Marca la sala leída hasta el mensaje dado (o hasta ahora)
+async function markRoomRead(userId, room, message = null) {
+  const readAt = message?.created_at || new Date().toISOString();
+  const { data: current } = await supabase
+    .from("chat_reads")
+    .select("last_read_at")
+    .eq("user_id", userId)
+    .eq("room", room)
+    .maybeSingle();
+
+  // Nunca retroceder (un cliente viejo puede marcar un mensaje anterior).
+  // Se comparan instantes: la base devuelve "+00:00" y el cliente "Z".
+  if (current?.last_read_at && Date.parse(current.last_read_at) >= Date.parse(readAt)) {
+    return current;
+  }
+
+  const { data, error } = await supabase
+    .from("chat_reads")
+    .upsert(
+      {
+        user_id: userId,
+        room,
+        last_read_at: readAt,
+        last_read_message_id: message?.id ?? null,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,room" }
+    )
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Mail al destinatario de un mensaje de chat
+async function notifyChatMessage({ recipientId, senderId, content }) {
+  const { data: recipient, error: recErr } = await supabase
+    .from("profiles")
+    .select("email, first_name, last_name, preferred_language")
+    .eq("id", recipientId)
+    .maybeSingle();
+
+  if (recErr || !recipient || !recipient.email) {
+    console.error("Error buscando destinatario chat:", recErr);
+    return { ok: false, msg: "No se encontró email del destinatario" };
+  }
+
+  const { data: sender } = await supabase
+    .from("profiles")
+    .select("first_name, last_name, email")
+    .eq("id", senderId)
+    .maybeSingle();
+
+  const senderName =
+    (sender
+      ? `${sender.first_name || ""} ${sender.last_name || ""}`.trim()
+      : "") || emailLabel("teacher", recipient.preferred_language);
+
+  await sendTemplateEmail("chat.message", {
+    to: recipient.email,
+    lang: recipient.preferred_language,
+    vars: {
+      first_name: recipient.first_name || "",
+      sender_name: senderName,
+      content,
+    },
+  });
+  return { ok: true };
+}
+
+// ---------- Avisos de chat agrupados (digest) ----------
+// En vez de un mail por mensaje se encola y, pasado un rato sin mensajes
+// nuevos en la sala, se manda un solo resumen. Si el destinatario ya lo
+// leyó en el campus, no se manda nada.
+// Tabla chat_digest_queue (Supabase):
+//   id, recipient_id uuid, sender_id uuid, room text NULL, message_id NULL,
+//   content text, created_at timestamptz,
+//   sent_at timestamptz NULL, outcome text NULL  -> sent | read
+//   claimed_at timestamptz NULL -> instancia que lo está mandando
+//     (ALTER TABLE chat_digest_queue ADD COLUMN claimed_at timestamptz;)
+// CHAT_DIGEST_DELAY_MIN=0 vuelve al mail inmediato.
+const CHAT_DIGEST_DELAY_MIN = Number(process.env.CHAT_DIGEST_DELAY_MIN ?? 10);
+const CHAT_DIGEST_POLL_MS = 60 * 1000;
+
+async function queueChatNotification({ recipientId, senderId, room, messageId, content, immediate = false }) {
+  if (immediate || CHAT_DIGEST_DELAY_MIN <= 0) {
+    return notifyChatMessage({ recipientId, senderId, content });
+  }
+
+  const { error } = await supabase.from("chat_digest_queue").insert({
+    recipient_id: recipientId,
+    sender_id: senderId,
+    room: room || null,
+    message_id: messageId ?? null,
+    content,
+    created_at: new Date().toISOString(),
+  });
+  if (error) throw error;
+  return { ok: true, queued: true };
+}
+
+async function sendChatDigest(recipientId, items) {
+  const senderIds = [...new Set(items.map((i) => i.sender_id))];
+  const { data: people, error } = await supabase
+    .from("profiles")
+    .select("id, email, first_name, last_name, preferred_language")
+    .in("id", [recipientId, ...senderIds]);
+  if (error) throw error;
+
+  const byId = new Map((people || []).map((p) => [p.id, p]));
+  const recipient = byId.get(recipientId);
+  if (!recipient?.email) {
+    console.warn("[chat digest] destinatario sin email:", recipientId);
+    return;
+  }
+
+  const lang = normalizeLanguage(recipient.preferred_language) || DEFAULT_EMAIL_LANGUAGE;
+  const messages = items.map((i) => {
+    const name = fullName(byId.get(i.sender_id)) || emailLabel("teacher", lang);
+    const time = new Date(i.created_at).toLocaleTimeString(EMAIL_LOCALES[lang], {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: BILLING_TZ,
+    });
+    return `${name} (${time}): "${i.content}"`;
+  });
+
+  await sendTemplateEmail("chat.digest", {
+    to: recipient.email,
+    lang,
+    vars: {
+      first_name: recipient.first_name || "",
+      count: items.length,
+      multiple: items.length > 1,
+      messages,
+    },
+  });
+}
+
+// Toma las filas de un grupo con un update condicional (como el outbox):
+// si corren dos instancias, cada fila la manda una sola. Un claim de más
+// de 5 minutos se considera abandonado. Devuelve las filas tomadas.
+const CHAT_DIGEST_CLAIM_MS = 5 * 60 * 1000;
+
+async function claimChatDigestRows(rows) {
+  const stale = new Date(Date.now() - CHAT_DIGEST_CLAIM_MS).toISOString();
+  const { data, error } = await supabase
+    .from("chat_digest_queue")
+    .update({ claimed_at: new Date().toISOString() })
+    .in("id", rows.map((r) => r.id))
+    .is("sent_at", null)
+    .or(`claimed_at.is.null,claimed_at.lt."${stale}"`)
+    .select("*");
+  if (error) throw error;
+  return (data || []).sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+}
+
+// Manda los resúmenes de las salas que quedaron quietas.
+// force=true ignora la espera (admin). Devuelve { sent, read, failed }.
+// Un grupo que falla se suelta para el próximo ciclo y no frena al resto.
+async function processChatDigests({ force = false, recipientId = null } = {}) {
+  let query = supabase
+    .from("chat_digest_queue")
+    .select("*")
+    .is("sent_at", null)
+    .order("created_at", { ascending: true })
+    .limit(1000);
+  if (recipientId) query = query.eq("recipient_id", recipientId);
+
+  const { data: pending, error } = await query;
+  if (error) throw error;
+
+  const groups = new Map();
+  for (const row of pending || []) {
+    const key = `${row.recipient_id}|${row.room || ""}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const quietSince = Date.now() - CHAT_DIGEST_DELAY_MIN * 60 * 1000;
+  const result = { sent: 0, read: 0, failed: 0 };
 
-    if (month) {
-      query = query.eq("month_year", month);
+  for (const group of groups.values()) {
+    if (!force && Date.parse(group[group.length - 1].created_at) > quietSince) continue;
+
+    let rows = [];
+    try {
+      rows = await claimChatDigestRows(group);
+      if (!rows.length) continue;
+      result[await sendChatDigestGroup(rows)]++;
+    } catch (err) {
+      console.error("[chat digest] falló el grupo:", group[0].recipient_id, group[0].room, err);
+      result.failed++;
+      if (rows.length) {
+        const { error: relErr } = await supabase
+          .from("chat_digest_queue")
+          .update({ claimed_at: null })
+          .in("id", rows.map((r) => r.id));
+        if (relErr) console.error("[chat digest] error soltando el grupo:", relErr);
+      }
     }
+  }
 
-    const { data, error } = await query.order("month_year", {
-      ascending: false,
-    });
+  return result;
+}
 
-    if (error) {
-      console.error("Error admin/payments/user:", error);
-      return res.json({ ok: false, msg: "Error consultando pagos" });
-    }
+// Manda (o descarta si ya se leyó) un grupo ya tomado. Devuelve el outcome.
+async function sendChatDigestGroup(rows) {
+  const last = rows[rows.length - 1];
+
+  let readAt = null;
+  if (last.room) {
+    const { data: read } = await supabase
+      .from("chat_reads")
+      .select("last_read_at")
+      .eq("user_id", last.recipient_id)
+      .eq("room", last.room)
+      .maybeSingle();
+    readAt = read?.last_read_at || null;
+  }
 
-    return res.json({ ok: true, payments: data || [] });
-  } catch (err) {
-    console.error("Error general /admin/payments/user:", err);
-    return res.json({ ok: false, msg: "Error interno" });
+  const unread = rows.filter(
+    (r) => !readAt || Date.parse(r.created_at) > Date.parse(readAt)
+  );
+  if (unread.length) {
+    await sendChatDigest(last.recipient_id, unread);
   }
-});
 
-// ADMIN — resumen pagos por mes
-// GET /admin/payments/summary?month=YYYY-MM
-app.get("/admin/payments/summary", async (req, res) => {
-  try {
-    const { month } = req.query || {};
-    const monthYear = month || new Date().toISOString().slice(0, 7);
+  const { error } = await supabase
+    .from("chat_digest_queue")
+    .update({
+      sent_at: new Date().toISOString(),
+      outcome: unread.length ? "sent" : "read",
+    })
+    .in("id", rows.map((r) => r.id));
+  if (error) throw error;
 
-    const { data, error } = await supabase
-      .from("payments")
-      .select("*")
-      .eq("month_year", monthYear)
-      .order("updated_at", { ascending: false });
+  return unread.length ? "sent" : "read";
+}
 
-    if (error) {
-      console.error("Error admin/payments/summary:", error);
-      return res.json({ ok: false, msg: "Error consultando resumen" });
-    }
+if (CHAT_DIGEST_DELAY_MIN > 0) {
+  setInterval(() => {
+    processChatDigests().catch((e) => console.error("[chat digest error]", e));
+  }, CHAT_DIGEST_POLL_MS);
+}
 
-    return res.json({ ok: true, payments: data || [] });
+// ADMIN — mandar ya los avisos pendientes
+// POST /admin/chat/digests/flush  Body: { recipient_id? }
+app.post("/admin/chat/digests/flush", requireCampusAdmin, async (req, res) => {
+  try {
+    const { recipient_id } = req.body || {};
+    const result = await processChatDigests({
+      force: true,
+      recipientId: recipient_id || null,
+    });
+    return res.json({ ok: true, ...result });
   } catch (err) {
-    console.error("Error general /admin/payments/summary:", err);
+    console.error("Error /admin/chat/digests/flush:", err);
     return res.json({ ok: false, msg: "Error interno" });
   }
 });
 
-// ADMIN — set manual estado de pago
-app.post("/admin/payment/set", async (req, res) => {
+// GET /chat/messages?room=room_...&since=ISO_OPCIONAL
+//   (clientes viejos: todos los mensajes desde "since", más viejo primero)
+// GET /chat/messages?room=room_...&limit=50&before=<id>|after=<id>
+//   (paginado: más nuevo primero; next_before pide la página anterior)
+const CHAT_PAGE_DEFAULT = 50;
+const CHAT_PAGE_MAX = 200;
+
+// Filtro PostgREST "antes / después de este mensaje" (created_at, id)
+function chatCursorFilter(cursor, direction) {
+  const op = direction === "before" ? "lt" : "gt";
+  return `created_at.${op}."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.${op}.${cursor.id})`;
+}
+
+app.get("/chat/messages", requireAuth, async (req, res) => {
   try {
-    const { user_id, status, month } = req.body || {};
+    const { room, since, before, after } = req.query || {};
+    if (!room) {
+      return res.json({ ok: false, msg: "Falta room" });
+    }
 
-    if (!user_id || !status) {
-      return res.json({ ok: false, msg: "Faltan user_id o status." });
+    if (!(await canAccessRoom(req.user, room))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
     }
 
-    const monthYear = month || new Date().toISOString().slice(0, 7);
+    const paginated = before || after || req.query.limit;
+    const limit = Math.min(
+      Math.max(Number(req.query.limit) || CHAT_PAGE_DEFAULT, 1),
+      CHAT_PAGE_MAX
+    );
 
-    const { data: existing, error: fetchError } = await supabase
-      .from("payments")
-      .select("amount")
-      .eq("user_id", user_id)
-      .eq("month_year", monthYear)
-      .maybeSingle();
+    let query = supabase.from("messages").select("*").eq("room", room);
 
-    if (fetchError) {
-      console.error("Error buscando pago existente:", fetchError);
-      return res.json({ ok: false, msg: "Error buscando pago existente." });
+    if (!paginated) {
+      query = query.order("created_at", { ascending: true });
+      if (since) {
+        query = query.gt("created_at", since);
+      }
+    } else {
+      const cursorId = before || after;
+      if (cursorId) {
+        const { data: cursor } = await supabase
+          .from("messages")
+          .select("id, created_at")
+          .eq("id", cursorId)
+          .eq("room", room)
+          .maybeSingle();
+        if (!cursor) {
+          return res.json({ ok: false, msg: "Cursor inválido" });
+        }
+        query = query.or(chatCursorFilter(cursor, before ? "before" : "after"));
+      }
+      // "after" trae los siguientes en orden y después se invierte
+      const ascending = !before && !!after;
+      query = query
+        .order("created_at", { ascending })
+        .order("id", { ascending })
+        .limit(limit + 1);
     }
 
-    const amount = existing?.amount ?? 0;
-
-    const { error } = await supabase
-      .from("payments")
-      .upsert(
-        {
-          user_id,
-          month_year: monthYear,
-          status,
-          amount,
-        },
-        {
-          onConflict: "user_id,month_year",
-        }
-      );
+    const { data, error } = await query;
 
     if (error) {
-      console.error("Error admin/payment/set:", error);
-      return res.json({ ok: false, msg: "Error actualizando estado de pago." });
+      console.error("Error /chat/messages:", error);
+      return res.json({
+        ok: false,
+        msg: "Error consultando mensajes de chat",
+      });
     }
 
-    return res.json({ ok: true });
+    // Confirmaciones de lectura de la sala ("visto")
+    const { data: reads } = await supabase
+      .from("chat_reads")
+      .select("user_id, last_read_at, last_read_message_id")
+      .eq("room", room);
+
+    if (!paginated) {
+      return res.json({ ok: true, messages: data || [], reads: reads || [] });
+    }
+
+    const hasMore = (data || []).length > limit;
+    let messages = (data || []).slice(0, limit);
+    if (!before && after) messages = messages.reverse();
+
+    return res.json({
+      ok: true,
+      messages,
+      reads: reads || [],
+      has_more: hasMore,
+      next_before: messages.length ? messages[messages.length - 1].id : null,
+      next_after: messages.length ? messages[0].id : null,
+    });
   } catch (err) {
-    console.error("Exception en /admin/payment/set:", err);
-    return res.json({ ok: false, msg: "Error inesperado." });
+    console.error("Error general /chat/messages:", err);
+    return res.json({ ok: false, msg: "Error interno" });
   }
 });
-// =====================================================
-// ADMIN — USERS / TEACHERS (campus)
-// =====================================================
 
-app.get("/admin/users", async (req, res) => {
+// Minúsculas y sin tildes, caracter por caracter (mantiene las posiciones)
+function foldText(text) {
+  return Array.from(String(text || ""), (ch) => {
+    const f = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    return f.length === 1 ? f : ch.toLowerCase().slice(0, 1) || " ";
+  }).join("");
+}
+
+// Fragmento alrededor de la primera coincidencia, con <mark> en cada
+// palabra que empieza por un término buscado (HTML ya escapado)
+function highlightSnippet(content, terms, radius = 60) {
+  const chars = Array.from(String(content || ""));
+  const folded = foldText(content);
+  const hits = [];
+
+  for (const term of terms) {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}[\\p{L}\\p{N}]*`, "gu");
+    for (const m of folded.matchAll(re)) {
+      // índices del string -> índices de caracteres (emojis ocupan 2)
+      const start = Array.from(folded.slice(0, m.index)).length;
+      hits.push([start, start + Array.from(m[0]).length]);
+    }
+  }
+  hits.sort((a, b) => a[0] - b[0]);
+
+  const first = hits.length ? hits[0][0] : 0;
+  const from = Math.max(0, first - radius);
+  const to = Math.min(chars.length, first + radius * 2);
+
+  let out = from > 0 ? "…" : "";
+  let pos = from;
+  for (const [s, e] of hits) {
+    if (s < pos || e > to) continue;
+    out += escapeHtml(chars.slice(pos, s).join(""));
+    out += `<mark>${escapeHtml(chars.slice(s, e).join(""))}</mark>`;
+    pos = e;
+  }
+  out += escapeHtml(chars.slice(pos, to).join(""));
+  if (to < chars.length) out += "…";
+  return out;
+}
+
+// Configuración de búsqueda de Postgres por idioma. En las salas se escribe
+// en el idioma que se estudia, así que sin ?lang= se usa "simple" (sin
+// raíces ni stopwords de ningún idioma en particular).
+const CHAT_SEARCH_CONFIGS = {
+  es: "spanish",
+  en: "english",
+  pt: "portuguese",
+  it: "italian",
+};
+
+// GET /chat/search?q=texto&room=room_...&limit=20&lang=es|en|pt|it
+// Busca en las salas de quien llama (admin: pasar room) con la búsqueda de
+// texto de Postgres; conviene un índice GIN por configuración usada:
+//   create index on messages using gin (to_tsvector('simple', content));
+app.get("/chat/search", requireAuth, async (req, res) => {
   try {
+    const q = String(req.query.q || "").trim();
+    const { room } = req.query;
+    if (q.length < 2) {
+      return res.json({ ok: false, msg: "La búsqueda necesita al menos 2 caracteres" });
+    }
+
+    let rooms;
+    if (room) {
+      if (!(await canAccessRoom(req.user, room))) {
+        return res.status(403).json({ ok: false, msg: "Sin permiso" });
+      }
+      rooms = [room];
+    } else {
+      rooms = await listUserRooms(req.user);
+    }
+    if (!rooms.length) {
+      return res.json({ ok: true, results: [] });
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const config = CHAT_SEARCH_CONFIGS[normalizeLanguage(req.query.lang)] || "simple";
+
     const { data, error } = await supabase
-      .from("profiles")
-      .select(
-        "id, email, first_name, last_name, role, teacher_id, zoom_link, class_modality, individual_frequency"
-      );
+      .from("messages")
+      .select("id, room, sender_id, content, attachment, created_at")
+      .in("room", rooms)
+      .textSearch("content", q, { type: "websearch", config })
+      .order("created_at", { ascending: false })
+      .limit(limit);
 
     if (error) {
-      console.error("Error /admin/users:", error);
-      return res.json({ ok: false, msg: "Error cargando usuarios" });
+      console.error("Error /chat/search:", error);
+      return res.json({ ok: false, msg: "Error buscando mensajes" });
     }
 
-    return res.json({ ok: true, users: data || [] });
+    const terms = foldText(q)
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length >= 2 && t !== "or");
+
+    const results = (data || []).map((m) => ({
+      ...m,
+      snippet: highlightSnippet(m.content, terms),
+    }));
+
+    return res.json({ ok: true, results });
   } catch (err) {
-    console.error("Error general /admin/users:", err);
+    console.error("Error /chat/search:", err);
     return res.json({ ok: false, msg: "Error interno" });
   }
 });
 
-app.get("/admin/teachers", async (req, res) => {
+// Después de guardar un mensaje: tiempo real, leído para quien lo manda
+// y aviso a los demás participantes de la sala
+async function deliverChatMessage(user, membership, message, { immediate, notifyText }) {
+  publishChatEvent(message.room, "message", { message });
+
+  await markRoomRead(user.id, message.room, message).catch((err) =>
+    console.error("Error marcando sala leída:", err)
+  );
+
+  for (const p of membership.participants) {
+    if (p.id === user.id) continue;
+    await queueChatNotification({
+      recipientId: p.id,
+      senderId: user.id,
+      room: message.room,
+      messageId: message.id,
+      content: notifyText,
+      immediate,
+    }).catch((err) => console.error("Error notificando chat:", err));
+  }
+}
+
+// POST /chat/messages
+// Body: { room, content, urgent? }
+// Guarda el mensaje a nombre de quien llama y avisa a la otra parte
+// (resumen diferido; urgent=true manda el mail ya, solo admin).
+app.post("/chat/messages", requireAuth, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("profiles")
-      .select("id, email, first_name, last_name, role")
-      .eq("role", "teacher");
+    const { room } = req.body || {};
+    const content = String(req.body?.content || "").trim();
+
+    if (!room || !content) {
+      return res.json({ ok: false, msg: "Faltan room o content" });
+    }
+    if (content.length > MAX_CHAT_MESSAGE_LENGTH) {
+      return res.json({
+        ok: false,
+        msg: `El mensaje supera los ${MAX_CHAT_MESSAGE_LENGTH} caracteres.`,
+      });
+    }
+
+    const membership = await getRoomMembership(req.user, room);
+    if (!membership.ok) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    const { data: message, error } = await supabase
+      .from("messages")
+      .insert({
+        room,
+        sender_id: req.user.id,
+        content,
+        created_at: new Date().toISOString(),
+      })
+      .select()
+      .maybeSingle();
 
     if (error) {
-      console.error("Error /admin/teachers:", error);
-      return res.json({ ok: false, msg: "Error cargando profesores" });
+      console.error("Error guardando mensaje de chat:", error);
+      return res.json({ ok: false, msg: "No se pudo enviar el mensaje" });
     }
 
-    return res.json({ ok: true, teachers: data || [] });
+    await deliverChatMessage(req.user, membership, message, {
+      immediate: req.user.role === "admin" && isUrgentFlag(req.body?.urgent),
+      notifyText: content,
+    });
+
+    return res.json({ ok: true, message });
   } catch (err) {
-    console.error("Error general /admin/teachers:", err);
+    console.error("Error POST /chat/messages:", err);
     return res.json({ ok: false, msg: "Error interno" });
   }
 });
 
-// =====================================================
-// FACTURAS — subida por admin + consultas
-// =====================================================
+// ---------- Adjuntos ----------
+// Bucket privado chat_attachments, path "<room>/<timestamp>-<random>.<ext>".
+// messages.attachment (jsonb): { name, mime, size, path }
+const CHAT_BUCKET = "chat_attachments";
 
-const INVOICES_BUCKET = "invoices";
+const OFFICE_TYPES = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
 
-// POST /admin/invoices/upload (form-data: file, user_id, month, amount?)
+// Además de PDF / imágenes: audios (correcciones) y Office (fichas)
+function sniffChatFileType(buffer, originalName = "") {
+  const base = sniffFileType(buffer);
+  if (base) return base;
+  if (!buffer || buffer.length < 12) return null;
+
+  const head = buffer.subarray(0, 12).toString("latin1");
+  if (head.startsWith("ID3") || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return { mime: "audio/mpeg", ext: "mp3" };
+  }
+  if (head.startsWith("OggS")) {
+    return { mime: "audio/ogg", ext: "ogg" };
+  }
+  if (head.startsWith("RIFF") && head.slice(8, 12) === "WAVE") {
+    return { mime: "audio/wav", ext: "wav" };
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+    return { mime: "audio/webm", ext: "webm" };
+  }
+  if (head.slice(4, 8) === "ftyp" && head.slice(8, 12) === "M4A ") {
+    return { mime: "audio/mp4", ext: "m4a" };
+  }
+  // docx/xlsx/pptx son ZIP: el contenido manda, la extensión elige el tipo
+  if (head.startsWith("PK\x03\x04")) {
+    const ext = String(originalName).split(".").pop().toLowerCase();
+    if (OFFICE_TYPES[ext]) return { mime: OFFICE_TYPES[ext], ext };
+  }
+  return null;
+}
+
+// POST /chat/attachments (form-data: file, room, content?)
 app.post(
-  "/admin/invoices/upload",
-  upload.single("file"),
+  "/chat/attachments",
+  requireAuth,
+  uploadSingle("file"),
   async (req, res) => {
     try {
-      const { user_id, month, amount } = req.body || {};
+      const { room } = req.body || {};
+      const content = String(req.body?.content || "").trim();
       const file = req.file;
 
-      if (!user_id || !month) {
-        return res.json({
-          ok: false,
-          msg: "Faltan user_id o month en el formulario.",
-        });
+      if (!room) {
+        return res.json({ ok: false, msg: "Falta room" });
       }
-
       if (!file) {
-        return res.json({ ok: false, msg: "No se recibió archivo de factura." });
+        return res.json({ ok: false, msg: "No se recibió archivo." });
       }
-
-      const fileExt = file.originalname.split(".").pop();
-      const fileName = `${user_id}/${month}-invoice-${Date.now()}.${fileExt}`;
-
-      const { error: uploadError } = await supabase.storage
-        .from(INVOICES_BUCKET)
-        .upload(fileName, file.buffer, {
-          contentType: file.mimetype,
-          upsert: true,
-        });
-
-      if (uploadError) {
-        console.error("Error subiendo factura Storage:", uploadError);
+      if (content.length > MAX_CHAT_MESSAGE_LENGTH) {
         return res.json({
           ok: false,
-          msg: "No se pudo subir el archivo de factura.",
+          msg: `El mensaje supera los ${MAX_CHAT_MESSAGE_LENGTH} caracteres.`,
         });
       }
 
-      const { data: publicData } = supabase.storage
-        .from(INVOICES_BUCKET)
-        .getPublicUrl(fileName);
-
-      const publicUrl = publicData?.publicUrl || null;
-      const monthYear = month;
-      const amountNumber =
-        amount != null && amount !== "" ? Number(amount) : null;
-
-      const { error: invErr } = await supabase
-        .from("invoices")
-        .upsert(
-          {
-            user_id,
-            month_year: monthYear,
-            amount: amountNumber,
-            file_url: publicUrl,
-            created_at: new Date().toISOString(),
-          },
-          {
-            onConflict: "user_id,month_year",
-          }
-        );
+      const membership = await getRoomMembership(req.user, room);
+      if (!membership.ok) {
+        return res.status(403).json({ ok: false, msg: "Sin permiso" });
+      }
 
-      if (invErr) {
-        console.error("Error guardando factura en tabla invoices:", invErr);
+      const fileType = sniffChatFileType(file.buffer, file.originalname);
+      if (!fileType) {
         return res.json({
           ok: false,
-          msg: "Factura subida pero no se pudo guardar el registro.",
+          msg: "Formato no permitido. Se aceptan PDF, imágenes, audios y documentos de Office.",
         });
       }
 
-      // Notificar alumno
-      try {
-        const { data: student, error: stErr } = await supabase
-          .from("profiles")
-          .select("email, first_name, last_name")
-          .eq("id", user_id)
-          .maybeSingle();
-
-        if (!stErr && student && student.email) {
-          const subject = "Nueva factura disponible en el Campus PauPau";
-          const text = `Hola ${student.first_name || ""} 👋
-
-Se cargó una nueva factura de tu curso en el Campus PauPau.
+      const path = `${room}/${Date.now()}-${crypto.randomBytes(4).toString("hex")}.${fileType.ext}`;
 
-Mes: ${monthYear}
-${amountNumber != null ? `Importe: $${amountNumber}\n` : ""}
+      const { error: uploadError } = await supabase.storage
+        .from(CHAT_BUCKET)
+        .upload(path, file.buffer, {
+          contentType: fileType.mime,
+          upsert: false,
+        });
 
-Podés verla y descargarla entrando a la sección de Pagos en el campus.
+      if (uploadError) {
+        console.error("Error subiendo adjunto de chat:", uploadError);
+        return res.json({ ok: false, msg: "No se pudo subir el archivo." });
+      }
 
-— Equipo PauPau`;
+      const attachment = {
+        name: String(file.originalname || `archivo.${fileType.ext}`).slice(0, 200),
+        mime: fileType.mime,
+        size: file.size,
+        path,
+      };
+
+      const { data: message, error } = await supabase
+        .from("messages")
+        .insert({
+          room,
+          sender_id: req.user.id,
+          content,
+          attachment,
+          created_at: new Date().toISOString(),
+        })
+        .select()
+        .maybeSingle();
 
-          await sendNotificationEmail(student.email, subject, text);
-        }
-      } catch (mailErr) {
-        console.error("Error enviando mail de factura:", mailErr);
+      if (error) {
+        console.error("Error guardando mensaje con adjunto:", error);
+        await supabase.storage.from(CHAT_BUCKET).remove([path]);
+        return res.json({ ok: false, msg: "No se pudo enviar el archivo" });
       }
 
-      return res.json({ ok: true, url: publicUrl });
+      await deliverChatMessage(req.user, membership, message, {
+        immediate: req.user.role === "admin" && isUrgentFlag(req.body?.urgent),
+        notifyText: content ? `📎 ${attachment.name} — ${content}` : `📎 ${attachment.name}`,
+      });
+
+      return res.json({ ok: true, message });
     } catch (err) {
-      console.error("Error /admin/invoices/upload:", err);
+      console.error("Error /chat/attachments:", err);
       return res.json({ ok: false, msg: "Error interno" });
     }
   }
 );
 
-// GET /invoices/user?user_id=...&month=YYYY-MM
-app.get("/invoices/user", async (req, res) => {
+// GET /chat/attachments/download?message_id=...
+app.get("/chat/attachments/download", requireAuth, async (req, res) => {
   try {
-    const { user_id, month } = req.query || {};
-    if (!user_id) {
-      return res.json({ ok: false, msg: "Falta user_id" });
+    const { message_id } = req.query || {};
+    if (!message_id) {
+      return res.json({ ok: false, msg: "Falta message_id" });
     }
 
-    let query = supabase.from("invoices").select("*").eq("user_id", user_id);
+    const { data: message, error } = await supabase
+      .from("messages")
+      .select("id, room, attachment")
+      .eq("id", message_id)
+      .maybeSingle();
 
-    if (month) {
-      query = query.eq("month_year", month);
+    if (error) {
+      console.error("Error buscando adjunto:", error);
+      return res.json({ ok: false, msg: "Error consultando archivo" });
+    }
+    if (!message?.attachment?.path) {
+      return res.json({ ok: false, msg: "El mensaje no tiene adjunto" });
     }
 
-    const { data, error } = await query.order("created_at", {
-      ascending: false,
+    if (!(await canAccessRoom(req.user, message.room))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    // El archivo tiene que estar en la carpeta de la sala del mensaje: un
+    // attachment escrito a mano en messages no puede apuntar a otra sala.
+    const path = String(message.attachment.path);
+    if (!path.startsWith(`${message.room}/`) || path.split("/").includes("..")) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    const url = await createSignedUrl(CHAT_BUCKET, path);
+    return res.json({
+      ok: true,
+      url,
+      expires_in: SIGNED_URL_TTL,
+      name: message.attachment.name,
+      mime: message.attachment.mime,
     });
+  } catch (err) {
+    console.error("Error /chat/attachments/download:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// POST /chat/read
+// Body: { room, message_id? } -> sin message_id marca todo como leído
+app.post("/chat/read", requireAuth, async (req, res) => {
+  try {
+    const { room, message_id } = req.body || {};
+    if (!room) {
+      return res.json({ ok: false, msg: "Falta room" });
+    }
+
+    if (!(await canAccessRoom(req.user, room))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
+    let message = null;
+    if (message_id) {
+      const { data, error } = await supabase
+        .from("messages")
+        .select("id, created_at")
+        .eq("id", message_id)
+        .eq("room", room)
+        .maybeSingle();
+      if (error || !data) {
+        return res.json({ ok: false, msg: "Mensaje no encontrado en la sala" });
+      }
+      message = data;
+    }
+
+    const read = await markRoomRead(req.user.id, room, message);
+
+    publishChatEvent(room, "read", {
+      user_id: req.user.id,
+      last_read_at: read?.last_read_at || null,
+      last_read_message_id: read?.last_read_message_id ?? null,
+    });
+
+    return res.json({ ok: true, read });
+  } catch (err) {
+    console.error("Error /chat/read:", err);
+    return res.json({ ok: false, msg: "Error interno" });
+  }
+});
+
+// Salas de un usuario: alumno -> la de su profe; profe -> una por alumno
+async function listUserRooms(user) {
+  if (user.role === "student") {
+    return user.teacher_id ? [chatRoomName(user.id, user.teacher_id)] : [];
+  }
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("id")
+    .eq("role", "student")
+    .eq("teacher_id", user.id);
+  if (error) throw error;
+  return (data || []).map((s) => chatRoomName(s.id, user.id));
+}
+
+// GET /chat/unread?rooms=room_a,room_b (sin rooms = las salas propias)
+app.get("/chat/unread", requireAuth, async (req, res) => {
+  try {
+    const rooms = req.query.rooms
+      ? String(req.query.rooms).split(",").map((r) => r.trim()).filter(Boolean)
+      : await listUserRooms(req.user);
+
+    const result = [];
+    for (const room of rooms.slice(0, 200)) {
+      if (!(await canAccessRoom(req.user, room))) continue;
+
+      const { data: read } = await supabase
+        .from("chat_reads")
+        .select("last_read_at")
+        .eq("user_id", req.user.id)
+        .eq("room", room)
+        .maybeSingle();
+
+      let query = supabase
+        .from("messages")
+        .select("id", { count: "exact", head: true })
+        .eq("room", room)
+        .neq("sender_id", req.user.id);
+      if (read?.last_read_at) {
+        query = query.gt("created_at", read.last_read_at);
+      }
+
+      const { count, error } = await query;
+      if (error) {
+        console.error("Error contando no leídos:", error);
+        continue;
+      }
 
-    if (error) {
-      console.error("Error /invoices/user:", error);
-      return res.json({
-        ok: false,
-        msg: "Error consultando facturas del usuario",
+      result.push({
+        room,
+        unread: count || 0,
+        last_read_at: read?.last_read_at || null,
       });
     }
 
-    return res.json({ ok: true, invoices: data || [] });
+    const total = result.reduce((acc, r) => acc + r.unread, 0);
+    return res.json({ ok: true, total, rooms: result });
   } catch (err) {
-    console.error("Error general /invoices/user:", err);
+    console.error("Error /chat/unread:", err);
     return res.json({ ok: false, msg: "Error interno" });
   }
 });
 
-// GET /admin/invoices/summary?month=YYYY-MM
-app.get("/admin/invoices/summary", async (req, res) => {
-  try {
-    const { month } = req.query || {};
-    const monthYear = month || new Date().toISOString().slice(0, 7);
+// ---------- Tiempo real (Server-Sent Events) ----------
+// Los eventos viven en memoria del proceso (una sola instancia). Los
+// clientes viejos siguen funcionando con GET /chat/messages?since=.
+//   message -> { room, message }
+//   read    -> { room, user_id, last_read_at, last_read_message_id }
+//   typing  -> { room, user_id }   (no se guarda ni se reenvía al reconectar)
+// id de evento: "<epoch ms>.<secuencia>"
+const CHAT_EVENT_BUFFER = Number(process.env.CHAT_EVENT_BUFFER || 1000);
+const CHAT_HEARTBEAT_MS = 25 * 1000;
+
+const chatEvents = [];
+const chatSubscribers = new Set(); // { user, rooms: Set, res, pending }
+let chatEventSeq = 0;
+
+function writeSse(res, type, payload, id = null) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+}
 
-    const { data, error } = await supabase
-      .from("invoices")
-      .select("*")
-      .eq("month_year", monthYear)
-      .order("created_at", { ascending: false });
+function publishChatEvent(room, type, data) {
+  const event = {
+    id: `${Date.now()}.${++chatEventSeq}`,
+    room,
+    type,
+    payload: { room, ...data },
+  };
 
-    if (error) {
-      console.error("Error /admin/invoices/summary:", error);
-      return res.json({
-        ok: false,
-        msg: "Error consultando facturas del mes",
-      });
+  if (type !== "typing") {
+    chatEvents.push(event);
+    if (chatEvents.length > CHAT_EVENT_BUFFER) chatEvents.shift();
+  }
+
+  for (const sub of chatSubscribers) {
+    if (!sub.rooms.has(room)) continue;
+    // mientras se reenvía lo perdido, lo nuevo espera en la cola
+    if (sub.pending) {
+      if (type !== "typing") sub.pending.push(event);
+      continue;
     }
+    writeSse(sub.res, type, event.payload, type === "typing" ? null : event.id);
+  }
+}
 
-    return res.json({ ok: true, invoices: data || [] });
-  } catch (err) {
-    console.error("Error general /admin/invoices/summary:", err);
-    return res.json({ ok: false, msg: "Error interno" });
+// Reenvía lo que el cliente se perdió. Si el id ya no está en memoria
+// (reinicio / buffer lleno) se leen los mensajes de la base desde esa
+// fecha; el cliente deduplica por message.id.
+async function replayChatEvents(sub, lastEventId) {
+  const idx = chatEvents.findIndex((e) => e.id === lastEventId);
+  if (idx >= 0) {
+    for (const e of chatEvents.slice(idx + 1)) {
+      if (sub.rooms.has(e.room)) writeSse(sub.res, e.type, e.payload, e.id);
+    }
+    return;
+  }
+
+  const ts = Number(String(lastEventId).split(".")[0]);
+  if (!ts) return;
+
+  const { data, error } = await supabase
+    .from("messages")
+    .select("*")
+    .in("room", [...sub.rooms])
+    .gt("created_at", new Date(ts).toISOString())
+    .order("created_at", { ascending: true })
+    .limit(500);
+  if (error) throw error;
+
+  for (const message of data || []) {
+    if (sub.closed) return;
+    writeSse(
+      sub.res,
+      "message",
+      { room: message.room, message },
+      `${Date.parse(message.created_at)}.0`
+    );
+  }
+}
+
+// EventSource no manda headers y el token no puede ir en la URL (queda en
+// los logs de acceso). El cliente pide un ticket de un solo uso con su
+// Bearer y abre el stream con ?ticket=.
+const CHAT_STREAM_TICKET_TTL_MS = 60 * 1000;
+const chatStreamTickets = new Map(); // ticket -> { user, expires }
+
+function consumeStreamTicket(req, res, next) {
+  const ticket = String(req.query.ticket || "");
+  const entry = chatStreamTickets.get(ticket);
+  chatStreamTickets.delete(ticket);
+  if (!entry || entry.expires < Date.now()) {
+    return res.status(401).json({ ok: false, msg: "Ticket inválido o vencido" });
+  }
+  req.user = entry.user;
+  next();
+}
+
+// POST /chat/stream/ticket  ->  { ok, ticket, expires_in }
+app.post("/chat/stream/ticket", requireAuth, (req, res) => {
+  const now = Date.now();
+  for (const [key, entry] of chatStreamTickets) {
+    if (entry.expires < now) chatStreamTickets.delete(key);
   }
+
+  const ticket = crypto.randomBytes(24).toString("hex");
+  chatStreamTickets.set(ticket, {
+    user: req.user,
+    expires: now + CHAT_STREAM_TICKET_TTL_MS,
+  });
+  return res.json({
+    ok: true,
+    ticket,
+    expires_in: CHAT_STREAM_TICKET_TTL_MS / 1000,
+  });
 });
 
-// =====================================================
-// CHAT — mensajes + notificaciones
-// =====================================================
+// GET /chat/stream?ticket=...&rooms=room_a,room_b&last_event_id=...
+// (sin rooms = las salas propias; Last-Event-ID también por header)
+app.get("/chat/stream", consumeStreamTicket, async (req, res) => {
+  // la limpieza se registra antes de cualquier await: si el cliente corta
+  // a mitad de la validación o del reenvío no queda nada colgado
+  const sub = { user: req.user, rooms: new Set(), res, pending: [], closed: false };
+  let heartbeat = null;
+  req.on("close", () => {
+    sub.closed = true;
+    clearInterval(heartbeat);
+    chatSubscribers.delete(sub);
+  });
 
-// GET /chat/messages?room=room_...&since=ISO_OPCIONAL
-app.get("/chat/messages", async (req, res) => {
   try {
-    const { room, since } = req.query || {};
-    if (!room) {
-      return res.json({ ok: false, msg: "Falta room" });
+    const requested = req.query.rooms
+      ? String(req.query.rooms).split(",").map((r) => r.trim()).filter(Boolean)
+      : await listUserRooms(req.user);
+
+    const rooms = sub.rooms;
+    for (const room of requested.slice(0, 200)) {
+      if (await canAccessRoom(req.user, room)) rooms.add(room);
+    }
+    if (sub.closed) return;
+    if (!rooms.size) {
+      return res.json({ ok: false, msg: "No hay salas para escuchar" });
     }
 
-    let query = supabase
-      .from("messages")
-      .select("*")
-      .eq("room", room)
-      .order("created_at", { ascending: true });
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    writeSse(res, "ready", { rooms: [...rooms] });
 
-    if (since) {
-      query = query.gt("created_at", since);
+    // se suscribe antes del reenvío: lo publicado mientras tanto queda en
+    // sub.pending y se manda después, en orden
+    chatSubscribers.add(sub);
+    heartbeat = setInterval(() => res.write(": ping\n\n"), CHAT_HEARTBEAT_MS);
+
+    const lastEventId = req.headers["last-event-id"] || req.query.last_event_id;
+    if (lastEventId) {
+      await replayChatEvents(sub, lastEventId).catch((err) =>
+        console.error("Error reenviando eventos de chat:", err)
+      );
     }
+    if (sub.closed) return;
 
-    const { data, error } = await query;
+    const pending = sub.pending;
+    sub.pending = null;
+    for (const e of pending) writeSse(res, e.type, e.payload, e.id);
+  } catch (err) {
+    console.error("Error /chat/stream:", err);
+    sub.closed = true;
+    clearInterval(heartbeat);
+    chatSubscribers.delete(sub);
+    if (!res.headersSent) {
+      return res.json({ ok: false, msg: "Error interno" });
+    }
+    res.end();
+  }
+});
 
-    if (error) {
-      console.error("Error /chat/messages:", error);
-      return res.json({
-        ok: false,
-        msg: "Error consultando mensajes de chat",
-      });
+// POST /chat/typing
+// Body: { room }
+app.post("/chat/typing", requireAuth, async (req, res) => {
+  try {
+    const { room } = req.body || {};
+    if (!room) {
+      return res.json({ ok: false, msg: "Falta room" });
+    }
+
+    if (!(await canAccessRoom(req.user, room))) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
     }
 
-    return res.json({ ok: true, messages: data || [] });
+    publishChatEvent(room, "typing", { user_id: req.user.id });
+    return res.json({ ok: true });
   } catch (err) {
-    console.error("Error general /chat/messages:", err);
+    console.error("Error /chat/typing:", err);
     return res.json({ ok: false, msg: "Error interno" });
   }
 });
 
 // NOTIFICACIÓN: MENSAJE NUEVO
-// Body: { recipient_id, sender_id, content }
-app.post("/notify/chat", async (req, res) => {
+// Body: { recipient_id, sender_id, content, room?, urgent? }
+// (clientes viejos que escriben directo en messages; los nuevos usan
+// POST /chat/messages, que ya notifica)
+app.post("/notify/chat", requireAuth, async (req, res) => {
   try {
     const { recipient_id, sender_id, content } = req.body || {};
     if (!recipient_id || !sender_id || !content) {
@@ -724,45 +7459,35 @@ app.post("/notify/chat", async (req, res) => {
       });
     }
 
-    const { data: recipient, error: recErr } = await supabase
-      .from("profiles")
-      .select("email, first_name, last_name")
-      .eq("id", recipient_id)
-      .maybeSingle();
-
-    if (recErr || !recipient || !recipient.email) {
-      console.error("Error buscando destinatario chat:", recErr);
-      return res.json({
-        ok: false,
-        msg: "No se encontró email del destinatario",
-      });
+    // Solo se notifica en nombre propio y a alguien con quien se chatea:
+    // el profe del alumno o un alumno del profe (admin: cualquiera)
+    if (req.user.role !== "admin") {
+      const related =
+        req.user.teacher_id === recipient_id ||
+        (await canAccessStudent(req.user, recipient_id));
+      if (req.user.id !== sender_id || !related) {
+        return res.status(403).json({ ok: false, msg: "Sin permiso" });
+      }
     }
 
-    const { data: sender } = await supabase
-      .from("profiles")
-      .select("first_name, last_name, email")
-      .eq("id", sender_id)
-      .maybeSingle();
-
-    const senderName =
-      (sender
-        ? `${sender.first_name || ""} ${sender.last_name || ""}`.trim()
-        : "") || "tu profesora";
-
-    const subject = "Nuevo mensaje en el chat del Campus PauPau";
-    const text = `Hola ${recipient.first_name || ""} 👋
-
-${senderName} te envió un mensaje nuevo en el chat del campus:
-
-"${content}"
-
-Ingresá al Campus PauPau para continuar la conversación.
-
-— Equipo PauPau`;
+    // Sala alumno-profe para poder agrupar y saber si ya lo leyó
+    let room = req.body?.room || null;
+    if (room && !(await canAccessRoom(req.user, room))) room = null;
+    if (!room && req.user.role === "student") {
+      room = chatRoomName(sender_id, recipient_id);
+    } else if (!room && req.user.role === "teacher") {
+      room = chatRoomName(recipient_id, sender_id);
+    }
 
-    await sendNotificationEmail(recipient.email, subject, text);
+    const result = await queueChatNotification({
+      recipientId: recipient_id,
+      senderId: sender_id,
+      room,
+      content,
+      immediate: req.user.role === "admin" && isUrgentFlag(req.body?.urgent),
+    });
 
-    return res.json({ ok: true });
+    return res.json(result);
   } catch (err) {
     console.error("Error /notify/chat:", err);
     return res.json({ ok: false, msg: "Error interno" });
@@ -771,16 +7496,26 @@ Ingresá al Campus PauPau para continuar la conversación.
 
 // NOTIFICACIÓN: TAREA NUEVA
 // Body: { student_id, teacher_id, title, description }
-app.post("/notify/assignment", async (req, res) => {
+app.post("/notify/assignment", requireAuth, async (req, res) => {
   try {
-    const { student_id, teacher_id, title, description } = req.body || {};
+    const { student_id, title, description } = req.body || {};
+    // Un profe solo notifica en nombre propio
+    const teacher_id =
+      req.user.role === "teacher" ? req.user.id : req.body?.teacher_id;
     if (!student_id || !title) {
       return res.json({ ok: false, msg: "Faltan student_id o title" });
     }
 
+    if (
+      !["teacher", "admin"].includes(req.user.role) ||
+      !(await canAccessStudent(req.user, student_id))
+    ) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
     const { data: student, error: stErr } = await supabase
       .from("profiles")
-      .select("email, first_name, last_name")
+      .select("email, first_name, last_name, preferred_language")
       .eq("id", student_id)
       .maybeSingle();
 
@@ -792,7 +7527,7 @@ app.post("/notify/assignment", async (req, res) => {
       });
     }
 
-    let senderName = "tu profesora";
+    let senderName = emailLabel("teacher", student.preferred_language);
     if (teacher_id) {
       const { data: teacher } = await supabase
         .from("profiles")
@@ -808,19 +7543,16 @@ app.post("/notify/assignment", async (req, res) => {
       }
     }
 
-    const subject = "Nueva tarea en el Campus PauPau";
-    const text = `Hola ${student.first_name || ""} 👋
-
-${senderName} te asignó una nueva tarea en el Campus PauPau.
-
-Título: ${title}
-${description ? `Descripción: ${description}\n` : ""}
-
-Ingresá al campus para verla y subir tu entrega.
-
-— Equipo PauPau`;
-
-    await sendNotificationEmail(student.email, subject, text);
+    await sendTemplateEmail("notify.assignment", {
+      to: student.email,
+      lang: student.preferred_language,
+      vars: {
+        first_name: student.first_name || "",
+        teacher_name: senderName,
+        title,
+        description,
+      },
+    });
 
     return res.json({ ok: true });
   } catch (err) {
@@ -831,16 +7563,26 @@ Ingresá al campus para verla y subir tu entrega.
 
 // NOTIFICACIÓN: CLASE GRABADA NUEVA
 // Body: { student_id, teacher_id, title }
-app.post("/notify/recording", async (req, res) => {
+app.post("/notify/recording", requireAuth, async (req, res) => {
   try {
-    const { student_id, teacher_id, title } = req.body || {};
+    const { student_id, title } = req.body || {};
+    // Un profe solo notifica en nombre propio
+    const teacher_id =
+      req.user.role === "teacher" ? req.user.id : req.body?.teacher_id;
     if (!student_id || !title) {
       return res.json({ ok: false, msg: "Faltan student_id o title" });
     }
 
+    if (
+      !["teacher", "admin"].includes(req.user.role) ||
+      !(await canAccessStudent(req.user, student_id))
+    ) {
+      return res.status(403).json({ ok: false, msg: "Sin permiso" });
+    }
+
     const { data: student, error: stErr } = await supabase
       .from("profiles")
-      .select("email, first_name, last_name")
+      .select("email, first_name, last_name, preferred_language")
       .eq("id", student_id)
       .maybeSingle();
 
@@ -852,7 +7594,7 @@ app.post("/notify/recording", async (req, res) => {
       });
     }
 
-    let senderName = "tu profesora";
+    let senderName = emailLabel("teacher", student.preferred_language);
     if (teacher_id) {
       const { data: teacher } = await supabase
         .from("profiles")
@@ -868,18 +7610,15 @@ app.post("/notify/recording", async (req, res) => {
       }
     }
 
-    const subject = "Nueva clase grabada en el Campus PauPau";
-    const text = `Hola ${student.first_name || ""} 👋
-
-${senderName} subió una nueva clase grabada para vos.
-
-Título: ${title}
-
-Ingresá al Campus PauPau para verla.
-
-— Equipo PauPau`;
-
-    await sendNotificationEmail(student.email, subject, text);
+    await sendTemplateEmail("notify.recording", {
+      to: student.email,
+      lang: student.preferred_language,
+      vars: {
+        first_name: student.first_name || "",
+        teacher_name: senderName,
+        title,
+      },
+    });
 
     return res.json({ ok: true });
   } catch (err) {
@@ -893,11 +7632,14 @@ Ingresá al Campus PauPau para verla.
 // =====================================================
 app.get("/test-email", async (req, res) => {
   try {
+    // Directo al transporter (sin plantilla de por medio) para ver el error SMTP
+    const mail = await renderEmail("system.test");
     await transporter.sendMail({
       from: FROM_EMAIL,
       to: "paupaulanguagesadmi@gmail.com",
-      subject: "Test PauPau Notificaciones",
-      text: "Este es un test de nodemailer funcionando en Render 🚀",
+      subject: mail.subject,
+      text: mail.text,
+      html: mail.html,
     });
 
     return res.json({ ok: true, msg: "Correo enviado" });
@@ -912,7 +7654,7 @@ app.get("/test-email", async (req, res) => {
 // =====================================================
 
 // Solo si hay DB
-const ADMIN_KEY = process.env.ADMIN_KEY || "cambia-esta-clave";
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
 
 const STATE_CASE = `
   CASE
@@ -1030,16 +7772,107 @@ app.post("/hold", async (req, res) => {
   }
 });
 
+// ----------- CATÁLOGO DE PROGRAMAS ----------
+// El precio de /crear-preferencia sale SIEMPRE de acá, nunca del body.
+//
+// Tabla catalogo (Postgres):
+//   id serial PK,
+//   programa   text NULL  -> 'intensivo90', etc. (NULL = cualquier programa de la modalidad)
+//   modalidad  text       -> 'individual' | 'grupal' | 'intensivo' ...
+//   frecuencia text NULL  -> clases por semana ('1','2','3'); NULL = cualquiera
+//   currency   char(3)    -> 'ARS', 'USD', 'EUR'
+//   price      numeric
+//   title      text
+//   valid_from timestamptz NULL, valid_to timestamptz NULL,
+//   active     boolean DEFAULT true
+
+// "2 clases por semana" -> "2"
+function normalizeFrecuencia(value) {
+  const m = String(value || "").match(/\d+/);
+  return m ? m[0] : null;
+}
+
+// Misma detección que usa el webhook para el Intensivo 90 Días
+function normalizePrograma(value) {
+  const prog = String(value || "").trim().toLowerCase();
+  if (prog === "intensivo90" || prog.includes("intensivo 90")) {
+    return "intensivo90";
+  }
+  return prog || null;
+}
+
+// Busca la entrada vigente más específica del catálogo.
+// Las filas con programa NULL solo aplican si ese programa no tiene
+// filas propias en la modalidad (si no, cualquier texto que mande el
+// cliente caería en el precio genérico).
+async function findCatalogEntry({ modalidad, programa, frecuencia, currency }) {
+  const q = `
+    SELECT id, programa, modalidad, frecuencia, currency, price::float AS price, title
+    FROM catalogo c
+    WHERE c.active = true
+      AND lower(c.modalidad) = $1
+      AND (
+        lower(c.programa) = $2
+        OR (
+          c.programa IS NULL
+          AND NOT EXISTS (
+            SELECT 1 FROM catalogo p
+            WHERE p.active = true
+              AND lower(p.modalidad) = $1
+              AND lower(p.programa) = $2
+              AND (p.valid_from IS NULL OR p.valid_from <= now())
+              AND (p.valid_to IS NULL OR p.valid_to >= now())
+          )
+        )
+      )
+      AND (c.frecuencia IS NULL OR c.frecuencia = $3)
+      AND c.currency = $4
+      AND (c.valid_from IS NULL OR c.valid_from <= now())
+      AND (c.valid_to IS NULL OR c.valid_to >= now())
+    ORDER BY c.programa NULLS LAST, c.frecuencia NULLS LAST, c.valid_from DESC NULLS LAST
+    LIMIT 1
+  `;
+  const { rows } = await pool.query(q, [
+    modalidad,
+    programa || "",
+    frecuencia || "",
+    currency,
+  ]);
+  return rows[0] || null;
+}
+
+// GET /catalogo  -> precios vigentes (para mostrar en la web)
+app.get("/catalogo", async (req, res) => {
+  if (!pool) return res.status(500).json({ error: "db_not_configured" });
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT id, programa, modalidad, frecuencia, currency, price::float AS price, title,
+             valid_from, valid_to
+      FROM catalogo c
+      WHERE c.active = true
+        AND (c.valid_from IS NULL OR c.valid_from <= now())
+        AND (c.valid_to IS NULL OR c.valid_to >= now())
+      ORDER BY c.modalidad, c.programa NULLS FIRST, c.frecuencia NULLS FIRST, c.currency
+      `
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error("[GET /catalogo]", e);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
 // ----------- CREAR PREFERENCIA INSCRIPCIONES ----------
 // * Soporta:
 //   - Modalidad "individual" (usa horarios / reservas como siempre)
 //   - Otras modalidades/web (grupal, Intensivo 90 días, etc.) SIN tocar reservas
+// * El monto se calcula con el catálogo (form.modalidad / frecuencia / programa)
+//   más el cupón opcional; "price" y "title" del body se ignoran.
 app.post("/crear-preferencia", async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   const {
-    title,
-    price,
     currency = "ARS",
     back_urls = {},
     metadata = {},
@@ -1047,18 +7880,10 @@ app.post("/crear-preferencia", async (req, res) => {
     horario_id,
     alumno_nombre,
     alumno_email,
+    coupon_code,
     form,
   } = req.body || {};
 
-  if (!title || typeof title !== "string")
-    return res
-      .status(400)
-      .json({ error: "bad_request", message: "title requerido" });
-  if (typeof price !== "number" || !(price > 0))
-    return res.status(400).json({
-      error: "bad_request",
-      message: "price debe ser número > 0",
-    });
   if (!/^[A-Z]{3}$/.test(currency))
     return res
       .status(400)
@@ -1084,7 +7909,7 @@ app.post("/crear-preferencia", async (req, res) => {
     null;
 
   let list = Array.isArray(horarios_ids)
-    ? horarios_ids.map(Number).filter(Boolean)
+    ? [...new Set(horarios_ids.map(Number).filter(Boolean))]
     : [];
   if (!list.length && Number(horario_id)) list = [Number(horario_id)];
 
@@ -1104,6 +7929,79 @@ app.post("/crear-preferencia", async (req, res) => {
     (alumno_email && String(alumno_email).trim()) ||
     "noemail@paupau.local";
 
+  // Precio desde el catálogo (antes de tocar reservas)
+  const programa = normalizePrograma(form?.programa || form?.program);
+  let frecuencia = normalizeFrecuencia(form?.frecuencia);
+
+  // En individual las clases por semana son los horarios que reserva:
+  // el precio no puede salir de una frecuencia menor a la real
+  if (requiereHorarios) {
+    if (frecuencia && Number(frecuencia) !== list.length) {
+      return res.status(400).json({
+        error: "bad_request",
+        message: `frecuencia (${frecuencia}) no coincide con la cantidad de horarios (${list.length})`,
+      });
+    }
+    frecuencia = String(list.length);
+  }
+
+  let catalogEntry;
+  try {
+    catalogEntry = await findCatalogEntry({
+      modalidad,
+      programa,
+      frecuencia,
+      currency,
+    });
+  } catch (e) {
+    console.error("[crear-preferencia] catalogo error", e);
+    return res.status(500).json({ error: "db_error" });
+  }
+
+  if (!catalogEntry) {
+    return res.status(400).json({
+      error: "not_in_catalog",
+      message: "No hay un precio vigente para esa modalidad/frecuencia/programa/moneda",
+    });
+  }
+
+  const basePrice = Number(catalogEntry.price);
+  let price = basePrice;
+  let couponMeta = {};
+  const couponCode = coupon_code || form?.coupon_code || null;
+
+  if (couponCode) {
+    try {
+      const result = await evaluateCoupon({
+        code: couponCode,
+        email: form?.email || alumno_email,
+        amount: basePrice,
+        currency,
+        programa: programa || modalidad,
+        modalidad,
+      });
+      if (!result.ok) {
+        return res
+          .status(400)
+          .json({ error: "invalid_coupon", message: result.msg });
+      }
+      price = result.final_amount;
+      couponMeta = couponMetadata(result, form?.email || alumno_email, basePrice);
+    } catch (e) {
+      console.error("[crear-preferencia] cupón error", e);
+      return res.status(500).json({ error: "coupon_error" });
+    }
+  }
+
+  if (!(price > 0)) {
+    return res.status(400).json({
+      error: "bad_request",
+      message: "El monto final debe ser mayor a 0",
+    });
+  }
+
+  const title = catalogEntry.title || `PauPau Languages — ${modalidad}`;
+
   const groupRef = uuid();
   const reservasIds = [];
 
@@ -1166,7 +8064,7 @@ app.post("/crear-preferencia", async (req, res) => {
       pais: String(form.pais || ""),
       idioma: String(form.idioma || ""),
       nivel: String(form.nivel || ""),
-      frecuencia: String(form.frecuencia || ""),
+      frecuencia: requiereHorarios ? frecuencia : String(form.frecuencia || ""),
       profesor: String(form.profesor || ""),
       extra_info: String(form.extra_info || ""),
       // Acá guardamos lo que venga del front para identificar el programa
@@ -1174,6 +8072,11 @@ app.post("/crear-preferencia", async (req, res) => {
     }
   : null;
 
+// Idioma de los mails al alumno (bienvenida, etc.)
+const preferredLanguage =
+  normalizeLanguage(form?.preferred_language || req.body?.preferred_language) ||
+  DEFAULT_EMAIL_LANGUAGE;
+
 try {
   // Detectamos tipo_curso a partir de "programa"
   let tipoCurso = null;
@@ -1187,8 +8090,10 @@ try {
     tipoCurso = "intensivo90";
   }
 
+  // Del metadata del cliente solo se toman teacher y grupo_label; cupón,
+  // origen y montos los arma el backend (no se pueden inyectar).
   const prefMetadata = {
-    ...metadata,
+    preferred_language: preferredLanguage,
     group_ref: groupRef,
     reservas_ids: reservasIds,
     alumno_nombre: name,
@@ -1198,6 +8103,8 @@ try {
     teacher: form?.profesor || metadata?.teacher || null,
     grupo_label: form?.grupo_label || metadata?.grupo_label || null,
     form_preview,
+    catalogo_id: catalogEntry.id,
+    ...couponMeta,
   };
 
     const pref = {
@@ -1225,6 +8132,8 @@ try {
       reservas_ids: reservasIds,
       modalidad,
       tipo_curso,
+      price,
+      currency,
     });
   } catch (e) {
     console.error("[MP error]", e?.message, "\n[MP error data]", e?.response?.body);
@@ -1234,39 +8143,231 @@ try {
       details: e?.response?.body || null,
     });
   }
-});// ----------- WEBHOOK MP (inscripciones) ----------
+});
+
+// ----------- WEBHOOK MP: FIRMA ----------
+// MP firma cada notificación con HMAC-SHA256 usando la clave secreta del
+// panel de Webhooks. Headers:
+//   x-signature:  "ts=1704908010,v1=<hex>"
+//   x-request-id: "<uuid>"
+// Manifest firmado: "id:<data.id>;request-id:<x-request-id>;ts:<ts>;"
+// Sin secreto no se acepta ninguna notificación (en producción ni arranca).
+// ts más viejo que MP_WEBHOOK_TOLERANCE_SEC = notificación repetida por
+// un tercero: se rechaza.
+const MP_WEBHOOK_SECRET = process.env.MP_WEBHOOK_SECRET;
+const MP_WEBHOOK_TOLERANCE_SEC = Number(process.env.MP_WEBHOOK_TOLERANCE_SEC || 300);
+
+if (!MP_WEBHOOK_SECRET) {
+  if (process.env.NODE_ENV === "production") {
+    console.error("❌ Falta MP_WEBHOOK_SECRET: sin él no se pueden validar los webhooks de MP");
+    process.exit(1);
+  }
+  console.warn(
+    "⚠️ No hay MP_WEBHOOK_SECRET; los webhooks de MP se rechazan hasta configurarlo."
+  );
+}
+
+function verifyMpSignature(req, dataId) {
+  if (!MP_WEBHOOK_SECRET) return false;
+
+  const header = String(req.headers["x-signature"] || "");
+  const requestId = req.headers["x-request-id"];
+
+  const parts = {};
+  for (const chunk of header.split(",")) {
+    const [k, v] = chunk.split("=").map((s) => (s || "").trim());
+    if (k && v) parts[k] = v;
+  }
+  if (!parts.ts || !parts.v1) return false;
+
+  // ts viene en segundos (algunas integraciones lo mandan en ms)
+  const tsNum = Number(parts.ts);
+  const tsMs = tsNum > 1e12 ? tsNum : tsNum * 1000;
+  if (!Number.isFinite(tsMs) || Math.abs(Date.now() - tsMs) > MP_WEBHOOK_TOLERANCE_SEC * 1000) {
+    return false;
+  }
+
+  // MP pide el id en minúsculas cuando es alfanumérico
+  const id = dataId ? String(dataId).toLowerCase() : "";
+
+  let manifest = "";
+  if (id) manifest += `id:${id};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parts.ts};`;
+
+  const expected = crypto
+    .createHmac("sha256", MP_WEBHOOK_SECRET)
+    .update(manifest)
+    .digest("hex");
+
+  const a = Buffer.from(expected, "hex");
+  const b = Buffer.from(parts.v1, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// ----------- WEBHOOK MP: EVENTOS (idempotencia) ----------
+// Tabla mp_webhook_events (Postgres), una fila por pago:
+//   payment_id            text PRIMARY KEY
+//   request_id            text
+//   payload               jsonb
+//   notifications         int DEFAULT 1
+//   received_at           timestamptz DEFAULT now()
+//   last_received_at      timestamptz
+//   last_status           text NULL        -> último estado visto en MP
+//   processed_status      text NULL        -> último estado ya procesado
+//   processing_started_at timestamptz NULL -> "lock" mientras se procesa
+//   processed_at          timestamptz NULL -> cuándo se procesó ese estado
+//   last_error            text NULL
+
+// Registra la notificación y reclama el pago para procesarlo.
+// Devuelve { claimed: false } si otra request lo está procesando; si no,
+// el último estado ya procesado para que el caller no repita acciones.
+async function claimWebhookEvent(paymentId, requestId, payload) {
+  await pool.query(
+    `
+    INSERT INTO mp_webhook_events
+      (payment_id, request_id, payload, notifications, received_at, last_received_at)
+    VALUES ($1, $2, $3::jsonb, 1, now(), now())
+    ON CONFLICT (payment_id) DO UPDATE
+       SET notifications    = mp_webhook_events.notifications + 1,
+           last_received_at = now(),
+           request_id       = EXCLUDED.request_id,
+           payload          = EXCLUDED.payload
+    `,
+    [paymentId, requestId || null, JSON.stringify(payload || {})]
+  );
+
+  const r = await pool.query(
+    `
+    UPDATE mp_webhook_events
+       SET processing_started_at = now()
+     WHERE payment_id = $1
+       AND (processing_started_at IS NULL
+            OR processing_started_at < now() - interval '5 minutes')
+    RETURNING processed_status
+    `,
+    [paymentId]
+  );
+  if (!r.rowCount) return { claimed: false };
+  return { claimed: true, processedStatus: r.rows[0].processed_status || null };
+}
+
+// Libera el lock. processed=true guarda "status" como ya procesado.
+async function finishWebhookEvent(paymentId, { processed, status, error }) {
+  await pool.query(
+    `
+    UPDATE mp_webhook_events
+       SET processing_started_at = NULL,
+           processed_at     = CASE WHEN $2 THEN now() ELSE processed_at END,
+           processed_status = CASE WHEN $2 THEN $3 ELSE processed_status END,
+           last_status      = COALESCE($3, last_status),
+           last_error       = $4
+     WHERE payment_id = $1
+    `,
+    [paymentId, !!processed, status || null, error ? String(error?.message || error) : null]
+  );
+}
+
+// ----------- WEBHOOK MP (inscripciones) ----------
+// Solo confiamos en el id del pago (que va firmado): estado y metadata se
+// leen siempre desde la API de MP.
 app.post("/webhook", async (req, res) => {
   if (!pool) {
     res.sendStatus(200);
     return;
   }
 
-  const evento = req.body;
+  const evento = req.body || {};
+  const pagoId =
+    req.query["data.id"] ||
+    evento?.data?.id ||
+    (req.query.topic === "payment" ? req.query.id : null) ||
+    null;
+
+  if (!verifyMpSignature(req, pagoId)) {
+    console.warn("[webhook] firma inválida", {
+      pagoId,
+      requestId: req.headers["x-request-id"],
+    });
+    return res.sendStatus(401);
+  }
+
+  const isPayment =
+    evento?.type === "payment" ||
+    evento?.action?.includes("payment") ||
+    req.query.type === "payment" ||
+    req.query.topic === "payment";
+  if (!isPayment || !pagoId) return res.sendStatus(200);
+
+  const paymentId = String(pagoId);
+
+  let claim;
+  try {
+    claim = await claimWebhookEvent(
+      paymentId,
+      req.headers["x-request-id"],
+      evento
+    );
+  } catch (e) {
+    console.error("[webhook] error registrando evento", e);
+    return res.sendStatus(500);
+  }
+
+  if (!claim.claimed) {
+    console.log("[webhook] pago en curso por otra notificación:", paymentId);
+    return res.sendStatus(200);
+  }
+
+  // Cierra el evento: processed=false deja el estado sin marcar para que
+  // una notificación posterior lo vuelva a intentar
+  const finish = async (result) => {
+    await finishWebhookEvent(paymentId, result);
+    return res.sendStatus(200);
+  };
 
   try {
     // ==========================
-    // 1) Leemos pago y metadata
+    // 1) Leemos pago y metadata desde MP
     // ==========================
-    let pagoId =
-      evento?.data?.id || evento?.data?.payment?.id || null;
-    let meta = evento?.data?.metadata || evento?.data?.id?.metadata || null;
+    const pay = await mercadopago.payment.findById(pagoId);
+    const payment = pay?.response || pay?.body || {};
+    const meta = payment.metadata || null;
+    const status = payment.status || null;
+
+    const done = { processed: true, status };
 
-    if (!meta && pagoId) {
-      const pay = await mercadopago.payment
-        .findById(pagoId)
-        .catch(() => null);
-      const body = pay?.response || pay?.body || {};
-      meta = body?.metadata || null;
+    // Pagos genéricos / cuotas del campus que llegan por la URL general de la cuenta
+    if (await syncPaymentByOrigen(payment)) {
+      return finish(done);
     }
 
-    const isPayment =
-      evento?.type === "payment" || evento?.action?.includes("payment");
-    if (!isPayment) return res.sendStatus(200);
+    // Mismo estado ya procesado (reintento de MP) -> nada que hacer
+    if (status && status === claim.processedStatus) {
+      return finish(done);
+    }
 
-    if (evento?.data?.status && evento.data.status !== "approved") {
-      return res.sendStatus(200);
+    if (MP_REVERSED_STATUSES.includes(status)) {
+      if (MP_REVERSED_STATUSES.includes(claim.processedStatus)) return finish(done);
+      await reverseInscripcion(payment, claim.processedStatus === "approved");
+      return finish(done);
+    }
+
+    if (MP_PENDING_STATUSES.includes(status)) {
+      // Si ya se aprobó, un pending atrasado no debe tocar nada
+      if (claim.processedStatus === "approved") return finish({ processed: false, status });
+      await extendPendingHold(meta);
+      return finish(done);
     }
 
+    if (status !== "approved") {
+      // rejected, etc.: el cron libera el hold cuando vence
+      return finish({ processed: false, status });
+    }
+
+    // Canje de cupón (solo se registra si MP confirma el pago aprobado)
+    await recordCouponRedemption(payment);
+    await recordInscripcion(payment);
+
     // -----------------------------------------------
     // 2) DETECTAMOS MODALIDAD / TIPO CURSO
     // -----------------------------------------------
@@ -1292,303 +8393,121 @@ app.post("/webhook", async (req, res) => {
 
     const profEmail =
       PROF_EMAILS[profesorName] ||
-      (profesorName === "Paula Toledo" ? "paauutooledo@gmail.com" : "");
-
-    const pv        = meta?.form_preview || {};
-    const extraInfo = (pv?.extra_info || "").trim();
-
-    // ==================================================
-    // HELPERS DE PLANTILLAS HTML (alumno / admin)
-    // ==================================================
-
-    // Template “lindo” para alumno (como tu captura)
-    const buildAlumnoHtml = (nombre, profesor, horarios) => `
-<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="utf-8" />
-  <title>Bienvenida PauPau</title>
-</head>
-<body style="margin:0;padding:0;background:#0b0b10;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;">
-  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#0b0b10;padding:24px 0;">
-    <tr>
-      <td align="center">
-        <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="max-width:560px;background:#111827;border-radius:16px;border:1px solid #1f2937;overflow:hidden;">
-          <tr>
-            <td style="padding:24px 24px 16px 24px;background:linear-gradient(135deg,#4f46e5,#6366f1);">
-              <h1 style="margin:0;color:#f9fafb;font-size:24px;font-weight:700;">
-                ¡Hola ${nombre.split(" ")[0] || ""}!
-              </h1>
-            </td>
-          </tr>
-
-          <tr>
-            <td style="padding:24px;color:#e5e7eb;font-size:15px;line-height:1.6;">
-              <p style="margin:0 0 12px 0;">
-                ¡Qué alegría que seas parte de nuestra Escuela! Estoy feliz de recibirte y darte la bienvenida.
-              </p>
-              <p style="margin:0 0 20px 0;">
-                En Paupau Languages conectamos personas con el mundo y desde hoy vos también sos parte de esa comunidad.
-              </p>
-
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-radius:14px;border:1px solid #374151;background:#111827;padding:16px 18px;margin-bottom:20px;">
-                <tr>
-                  <td style="font-size:14px;color:#e5e7eb;">
-                    <p style="margin:0 0 8px 0;">
-                      <strong>Tu docente:</strong> ${profesor}
-                    </p>
-                    <p style="margin:0 0 8px 0;">
-                      <strong>Tus horarios:</strong> ${horarios || "A confirmar"}
-                    </p>
-                    <p style="margin:0 0 8px 0;">
-                      <strong>Profesor/tutor:</strong> ${profesor}
-                    </p>
-                    ${
-                      profEmail
-                        ? `<p style="margin:0;">
-                             <strong>Correo del profesor:</strong>
-                             <a href="mailto:${profEmail}" style="color:#60a5fa;text-decoration:none;">
-                               ${profEmail}
-                             </a>
-                           </p>`
-                        : ""
-                    }
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin:0 0 16px 0;">
-                Te pedimos puntualidad y cámara/micrófono encendidos para una mejor experiencia.
-              </p>
-              <p style="margin:0 0 20px 0;">
-                Más cerca de la fecha de inicio tu docente te enviará los links de acceso.
-              </p>
-
-              <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="border-radius:14px;border:1px solid #92400e;background:#451a03;padding:14px 16px;margin-bottom:20px;">
-                <tr>
-                  <td style="font-size:14px;color:#fed7aa;">
-                    <strong>Aranceles:</strong>
-                    Se abonan del 1 al 7 de cada mes por transferencia bancaria.
-                    En caso de no abonar en tiempo y forma, las clases se suspenderán.
-                  </td>
-                </tr>
-              </table>
-
-              <p style="margin:0 0 6px 0;">
-                Si surge cualquier duda, escribinos cuando quieras.
-              </p>
-
-              <p style="margin:16px 0 0 0;font-size:14px;color:#9ca3af;">
-                <strong style="color:#e5e7eb;">PauPau Languages</strong><br/>
-                Instagram:
-                <a href="https://www.instagram.com/paupaulanguages" style="color:#60a5fa;text-decoration:none;">
-                  @paupaulanguages
-                </a>
-              </p>
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>`.trim();
+      (profesorName === "Paula Toledo" ? "paauutooledo@gmail.com" : "");
 
-    // Template para admin/profe (con formulario)
-    const buildAdminHtml = ({
-      modalidad,
-      alumnoNombre,
-      alumnoEmail,
-      profesorName,
-      profEmail,
-      horariosTxt,
-      reservasIds,
-      pv,
+    const pv        = meta?.form_preview || {};
+    const extraInfo = (pv?.extra_info || "").trim();
+
+    // ==================================================
+    // MAILS (plantillas inscripcion.welcome / inscripcion.admin)
+    // ==================================================
+    const formFields = [
+      ["nombre", pv?.nombre],
+      ["DNI", pv?.dni],
+      ["fecha de nacimiento", pv?.nacimiento],
+      ["mail", pv?.email],
+      ["whatsapp", pv?.whatsapp],
+      ["país donde vive", pv?.pais],
+      ["idioma a inscribirse", pv?.idioma],
+      ["resultado test nivelatorio", pv?.nivel],
+      ["clases por semana", pv?.frecuencia],
+      ["profesor", pv?.profesor],
+      ["programa", pv?.programa],
+      ["extra_info", extraInfo],
+    ].filter(([, v]) => v);
+
+    // Bienvenida al alumno + aviso a la academia (con copia al profe)
+    const sendInscripcionMails = async ({
+      modalidadLabel,
+      nombre,
+      email,
+      profesor,
+      profMail,
+      horarios,
+      reservasIds = [],
+      intensivo = false,
+      grupal = false,
     }) => {
-      const rowsForm = [];
-
-      if (pv?.nombre)      rowsForm.push(`<li><strong>nombre:</strong> ${pv.nombre}</li>`);
-      if (pv?.dni)         rowsForm.push(`<li><strong>DNI:</strong> ${pv.dni}</li>`);
-      if (pv?.nacimiento)  rowsForm.push(`<li><strong>fecha de nacimiento:</strong> ${pv.nacimiento}</li>`);
-      if (pv?.email)       rowsForm.push(`<li><strong>mail:</strong> <a href="mailto:${pv.email}">${pv.email}</a></li>`);
-      if (pv?.whatsapp)    rowsForm.push(`<li><strong>whatsapp:</strong> ${pv.whatsapp}</li>`);
-      if (pv?.pais)        rowsForm.push(`<li><strong>país donde vive:</strong> ${pv.pais}</li>`);
-      if (pv?.idioma)      rowsForm.push(`<li><strong>idioma a inscribirse:</strong> ${pv.idioma}</li>`);
-      if (pv?.nivel)       rowsForm.push(`<li><strong>resultado test nivelatorio:</strong> ${pv.nivel}</li>`);
-      if (pv?.frecuencia)  rowsForm.push(`<li><strong>clases por semana:</strong> ${pv.frecuencia}</li>`);
-      if (pv?.profesor)    rowsForm.push(`<li><strong>profesor:</strong> ${pv.profesor}</li>`);
-      if (pv?.programa)    rowsForm.push(`<li><strong>programa:</strong> ${pv.programa}</li>`);
-      if (pv?.extra_info)  rowsForm.push(`<li><strong>extra_info:</strong> ${pv.extra_info}</li>`);
-
-      return `
-<!DOCTYPE html>
-<html lang="es">
-<head>
-  <meta charset="utf-8" />
-  <title>Nueva inscripción confirmada</title>
-</head>
-<body style="margin:0;padding:16px;background:#111827;font-family:system-ui,-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;color:#e5e7eb;">
-  <h2 style="margin-top:0;margin-bottom:8px;">Nueva <span style="background:#facc15;color:#111827;padding:2px 6px;border-radius:4px;">inscripción</span> confirmada</h2>
-  <p style="margin-top:0;margin-bottom:18px;font-size:14px;color:#9ca3af;">
-    Modalidad: <strong>${modalidad}</strong>
-  </p>
-
-  <ul style="margin:0 0 18px 18px;padding:0;font-size:14px;line-height:1.6;">
-    <li><strong>Modalidad:</strong> ${modalidad}</li>
-    <li><strong>Alumno:</strong> ${alumnoNombre}${
-      alumnoEmail
-        ? ` (<a href="mailto:${alumnoEmail}" style="color:#60a5fa;">${alumnoEmail}</a>)`
-        : ""
-    }</li>
-    <li><strong>Profesor:</strong> ${profesorName}${
-      profEmail
-        ? ` (<a href="mailto:${profEmail}" style="color:#60a5fa;">${profEmail}</a>)`
-        : ""
-    }</li>
-    ${horariosTxt ? `<li><strong>Horarios:</strong> ${horariosTxt}</li>` : ""}
-    ${
-      reservasIds && reservasIds.length
-        ? `<li><strong>Reservas:</strong> ${reservasIds.join(", ")}</li>`
-        : ""
-    }
-  </ul>
-
-  ${
-    rowsForm.length
-      ? `
-  <h3 style="margin:12px 0 6px 0;">Formulario</h3>
-  <ul style="margin:0 0 8px 18px;padding:0;font-size:14px;line-height:1.6;">
-    ${rowsForm.join("\n    ")}
-  </ul>`
-      : ""
-  }
-</body>
-</html>`.trim();
+      if (email) {
+        await sendTemplateEmail("inscripcion.welcome", {
+          to: email,
+          lang: meta?.preferred_language,
+          vars: {
+            nombre: nombre.split(" ")[0] || "",
+            profesor,
+            horarios,
+            prof_email: profMail,
+            intensivo,
+            grupal,
+          },
+        });
+      }
+
+      await sendTemplateEmail("inscripcion.admin", {
+        to: ACADEMY_EMAIL,
+        cc: profMail || undefined,
+        vars: {
+          modalidad: modalidadLabel,
+          alumno_nombre: nombre,
+          alumno_email: email,
+          profesor,
+          prof_email: profMail,
+          horarios,
+          reservas: reservasIds.join(", "),
+          form: formFields,
+          intensivo,
+          grupal,
+        },
+      });
     };
 
     // ===========================================
     // 3) CASO ESPECIAL: INTENSIVO 90 DÍAS
     // ===========================================
-    // ===========================================
-// 3) CASO ESPECIAL: INTENSIVO 90 DÍAS
-// ===========================================
-if (tipo_curso === "intensivo90" || modalidad === "intensivo") {
-  // Armamos un texto de horarios “humano” para el intensivo
-  const horariosIntensivo =
-    pv?.grupo_label ||
-    meta?.grupo_label ||
-    "Intensivo 90 Días – horarios a coordinar con Paula";
-
-  // 🌈 MISMO FORMATO LINDO QUE INDIVIDUAL/GRUPAL (para el alumno)
-  const htmlAlumno = buildAlumnoHtml(
-    alumnoNombre,
-    "Paula Toledo",
-    horariosIntensivo
-  );
-
-  // 🧾 MISMO FORMATO LINDO DE ADMIN (con formulario completo)
-  const htmlAdmin = buildAdminHtml({
-    modalidad: "intensivo 90 días",
-    alumnoNombre,
-    alumnoEmail,
-    profesorName: "Paula Toledo",
-    profEmail: "paauutooledo@gmail.com",
-    horariosTxt: horariosIntensivo,
-    reservasIds: [],   // no usamos reservas en este curso
-    pv,                // acá vienen dni, mail, whatsapp, programa, etc.
-  });
-
-  try {
-    // Mail alumno
-    if (alumnoEmail) {
-      await transporter.sendMail({
-        from: FROM_EMAIL,
-        to: alumnoEmail,
-        subject: "¡Bienvenido al Intensivo 90 Días!",
-        html: htmlAlumno,
+    if (tipo_curso === "intensivo90" || modalidad === "intensivo") {
+      // Texto de horarios “humano” para el intensivo
+      const horariosIntensivo =
+        pv?.grupo_label ||
+        meta?.grupo_label ||
+        "Intensivo 90 Días – horarios a coordinar con Paula";
+
+      await sendInscripcionMails({
+        modalidadLabel: "intensivo 90 días",
+        nombre: alumnoNombre,
+        email: alumnoEmail,
+        profesor: "Paula Toledo",
+        profMail: "paauutooledo@gmail.com",
+        horarios: horariosIntensivo,
+        intensivo: true,
       });
-    }
-
-    // Mail admin + Paula
-    await transporter.sendMail({
-      from: FROM_EMAIL,
-      to: ACADEMY_EMAIL,
-      cc: "paauutooledo@gmail.com",
-      subject: `Nueva inscripción Intensivo 90 Días — ${alumnoNombre}`,
-      html: htmlAdmin,
-    });
-  } catch (e) {
-    console.error("[mail intensivo90] error envío", e);
-  }
 
-  return res.sendStatus(200);
-}
+      return finish(done);
+    }
 
     // ===========================================
     // 4) MODALIDAD GRUPAL
     // ===========================================
     if (modalidad === "grupal") {
-      const alumnoHtml = buildAlumnoHtml(
-        alumnoNombre,
-        profesorName,
-        horariosTxt
-      );
-
-      const adminHtml = buildAdminHtml({
-        modalidad: "grupal",
-        alumnoNombre,
-        alumnoEmail,
-        profesorName,
-        profEmail,
-        horariosTxt,
-        reservasIds: [],
-        pv,
+      await sendInscripcionMails({
+        modalidadLabel: "grupal",
+        nombre: alumnoNombre,
+        email: alumnoEmail,
+        profesor: profesorName,
+        profMail: profEmail,
+        horarios: horariosTxt,
+        grupal: true,
       });
 
-      try {
-        if (alumnoEmail) {
-          await transporter.sendMail({
-            from: FROM_EMAIL,
-            to: alumnoEmail,
-            subject: "¡Tu inscripción fue confirmada!",
-            html: alumnoHtml,
-          });
-        }
-
-        await transporter.sendMail({
-          from: FROM_EMAIL,
-          to: ACADEMY_EMAIL,
-          cc: profEmail || undefined,
-          subject: `Nueva inscripción grupal — ${alumnoNombre}`,
-          html: adminHtml,
-        });
-      } catch (e) {
-        console.error("[mail grupal] error envío", e);
-      }
-
-      return res.sendStatus(200);
+      return finish(done);
     }
 
     // ===========================================
     // 5) MODALIDAD INDIVIDUAL (NORMAL)
     // ===========================================
-    const reservasIdsMeta = Array.isArray(meta?.reservas_ids)
-      ? meta.reservas_ids.map(Number).filter(Boolean)
-      : [];
-    const groupRef = meta?.group_ref || null;
-
-    let targetIds = reservasIdsMeta;
-
-    if (!targetIds.length && groupRef) {
-      const r = await pool.query(
-        `SELECT id FROM reservas WHERE group_ref = $1`,
-        [groupRef]
-      );
-      targetIds = r.rows.map((x) => x.id);
-    }
+    const targetIds = await resolveReservaIds(meta);
 
     if (!targetIds.length) {
-      return res.sendStatus(200);
+      return finish(done);
     }
 
     await pool.query(
@@ -1611,7 +8530,7 @@ if (tipo_curso === "intensivo90" || modalidad === "intensivo") {
     `;
     const { rows } = await pool.query(infoQ, [targetIds]);
     if (!rows.length) {
-      return res.sendStatus(200);
+      return finish(done);
     }
 
     const alumnoNombre2 = rows[0].alumno_nombre || "Alumno";
@@ -1623,51 +8542,213 @@ if (tipo_curso === "intensivo90" || modalidad === "intensivo") {
       PROF_EMAILS[profesorName2] ||
       (profesorName2 === "Paula Toledo" ? "paauutooledo@gmail.com" : "");
 
-    const htmlAlumno = buildAlumnoHtml(
-      alumnoNombre2,
-      profesorName2,
-      horariosTxt2
-    );
-
-    const adminHtml = buildAdminHtml({
-      modalidad: "individual",
-      alumnoNombre: alumnoNombre2,
-      alumnoEmail: alumnoEmail2,
-      profesorName: profesorName2,
-      profEmail: profEmail2,
-      horariosTxt: horariosTxt2,
+    await sendInscripcionMails({
+      modalidadLabel: "individual",
+      nombre: alumnoNombre2,
+      email: alumnoEmail2,
+      profesor: profesorName2,
+      profMail: profEmail2,
+      horarios: horariosTxt2,
       reservasIds: targetIds,
-      pv,
     });
 
-    try {
-      if (alumnoEmail2) {
-        await transporter.sendMail({
-          from: FROM_EMAIL,
-          to: alumnoEmail2,
-          subject: "¡Inscripción confirmada!",
-          html: htmlAlumno,
-        });
-      }
-
-      await transporter.sendMail({
-        from: FROM_EMAIL,
-        to: ACADEMY_EMAIL,
-        cc: profEmail2 || undefined,
-        subject: `Nueva inscripción confirmada: ${alumnoNombre2} con ${profesorName2}`,
-        html: adminHtml,
-      });
-    } catch (err) {
-      console.error("[mail individual] error envío", err);
-    }
-
-    return res.sendStatus(200);
+    return finish(done);
   } catch (e) {
     console.error("[webhook] error", e);
-    return res.sendStatus(200);
+    await finishWebhookEvent(paymentId, { processed: false, error: e }).catch(
+      (err) => console.error("[webhook] error guardando evento", err)
+    );
+    // 500 => MP reintenta más tarde
+    return res.sendStatus(500);
   }
 });
 
+// Estados de MP que devuelven la plata / anulan la inscripción
+const MP_REVERSED_STATUSES = ["refunded", "charged_back", "cancelled"];
+// Estados "todavía no pagó pero va a pagar" (Rapipago, Pago Fácil, transferencia)
+const MP_PENDING_STATUSES = ["pending", "in_process"];
+// Cuánto se extiende el hold de un pago pendiente (default 72 h). Se
+// valida acá: un valor raro en el env no puede romper el UPDATE.
+const MP_PENDING_HOLD_HOURS = (() => {
+  const raw = process.env.MP_PENDING_HOLD_HOURS;
+  const hours = Number(raw || 72);
+  if (Number.isFinite(hours) && hours > 0) return hours;
+  console.warn(`⚠️ MP_PENDING_HOLD_HOURS inválido (${raw}), se usan 72 h`);
+  return 72;
+})();
+
+// Reservas de la inscripción (ids de la metadata o, si no, por group_ref)
+async function resolveReservaIds(meta) {
+  const reservasIdsMeta = Array.isArray(meta?.reservas_ids)
+    ? meta.reservas_ids.map(Number).filter(Boolean)
+    : [];
+  if (reservasIdsMeta.length) return reservasIdsMeta;
+
+  const groupRef = meta?.group_ref || null;
+  if (!groupRef) return [];
+
+  const r = await pool.query(
+    `SELECT id FROM reservas WHERE group_ref = $1`,
+    [groupRef]
+  );
+  return r.rows.map((x) => x.id);
+}
+
+// Pago pendiente: extendemos el hold para que el cron no lo libere
+async function extendPendingHold(meta) {
+  const ids = await resolveReservaIds(meta);
+  if (!ids.length) return;
+
+  const r = await pool.query(
+    `UPDATE reservas
+        SET reservado_hasta = GREATEST(reservado_hasta, now() + make_interval(secs => $2))
+      WHERE id = ANY($1::int[])
+        AND estado = 'pendiente'`,
+    [ids, Math.round(MP_PENDING_HOLD_HOURS * 3600)]
+  );
+  console.log(
+    `[webhook] hold extendido ${MP_PENDING_HOLD_HOURS}h para reservas:`,
+    ids,
+    "actualizadas:",
+    r.rowCount
+  );
+}
+
+// Pago devuelto / contracargo / cancelado: liberamos horarios y avisamos
+// a la academia (con copia al profe de los horarios liberados) y al alumno
+async function reverseInscripcion(payment, wasApproved) {
+  const meta = payment.metadata || {};
+  const ids = await resolveReservaIds(meta);
+
+  await markInscripcionReversed(payment);
+
+  let released = [];
+  if (ids.length) {
+    const r = await pool.query(
+      `UPDATE reservas
+          SET estado='cancelado', reservado_hasta=NULL
+        WHERE id = ANY($1::int[])
+          AND estado IN ('pendiente','pagado')
+        RETURNING id`,
+      [ids]
+    );
+    if (r.rowCount) {
+      const info = await pool.query(
+        `
+        SELECT h.dia_semana, to_char(h.hora,'HH24:MI') AS hora, p.nombre AS profesor
+          FROM reservas r
+          JOIN horarios h ON h.id = r.horario_id
+          JOIN profesores p ON p.id = h.profesor_id
+         WHERE r.id = ANY($1::int[])
+         ORDER BY p.nombre, ${DAY_ORDER}, h.hora
+        `,
+        [r.rows.map((x) => x.id)]
+      );
+      released = info.rows;
+    }
+  }
+
+  // Un ticket pendiente que vence no es novedad para la academia
+  if (!wasApproved && payment.status === "cancelled") return;
+
+  const profMails = [
+    ...new Set(
+      released
+        .map(
+          (r) =>
+            PROF_EMAILS[r.profesor] ||
+            (r.profesor === "Paula Toledo" ? "paauutooledo@gmail.com" : "")
+        )
+        .filter(Boolean)
+    ),
+  ];
+
+  const statusTxt = {
+    refunded: "devuelto",
+    charged_back: "contracargo",
+    cancelled: "cancelado",
+  }[payment.status] || payment.status;
+
+  await sendTemplateEmail("inscripcion.reversed", {
+    to: ACADEMY_EMAIL,
+    cc: profMails.length ? profMails : undefined,
+    vars: {
+      payment_id: String(payment.id),
+      status_label: statusTxt,
+      alumno_nombre: meta.alumno_nombre || "-",
+      alumno_email: meta.alumno_email || "",
+      modalidad: meta.modalidad || "-",
+      teacher: meta.teacher || "-",
+      amount: `${payment.transaction_amount ?? "-"} ${payment.currency_id || ""}`.trim(),
+      reservas: ids.join(", "),
+      horarios: released.map((r) => `${r.profesor} ${r.dia_semana} ${r.hora}`).join("; "),
+    },
+  });
+
+  if (meta.alumno_email) {
+    await sendTemplateEmail("inscripcion.reversed_student", {
+      to: meta.alumno_email,
+      lang: meta.preferred_language,
+      vars: {
+        nombre: String(meta.alumno_nombre || "").split(" ")[0] || "",
+        horarios: released.map((r) => `${r.dia_semana} ${r.hora}`).join("; "),
+      },
+    });
+  }
+}
+
+// ----------- INSCRIPCIONES (para reportes) ----------
+// Tabla inscripciones (Postgres), una fila por pago de inscripción aprobado:
+//   payment_id   text PRIMARY KEY
+//   alumno_nombre text, alumno_email text
+//   modalidad    text, programa text NULL, frecuencia text NULL
+//   teacher      text NULL, catalogo_id int NULL
+//   amount       numeric, currency text
+//   coupon_code  text NULL
+//   preferred_language text NULL   -> idioma de los mails al alumno (es/en/pt/it)
+//   status       text              -> approved | refunded | charged_back | cancelled
+//   approved_at  timestamptz
+//   reversed_at  timestamptz NULL
+async function recordInscripcion(payment) {
+  const meta = payment.metadata || {};
+  const pv = meta.form_preview || {};
+  await pool.query(
+    `
+    INSERT INTO inscripciones
+      (payment_id, alumno_nombre, alumno_email, modalidad, programa, frecuencia,
+       teacher, catalogo_id, amount, currency, coupon_code, preferred_language,
+       status, approved_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,'approved',$13)
+    ON CONFLICT (payment_id) DO NOTHING
+    `,
+    [
+      String(payment.id),
+      meta.alumno_nombre || null,
+      normalizeEmail(meta.alumno_email) || null,
+      String(meta.modalidad || "individual").toLowerCase(),
+      normalizePrograma(pv.programa) || meta.tipo_curso || null,
+      normalizeFrecuencia(pv.frecuencia) || null,
+      meta.teacher || null,
+      meta.catalogo_id ? Number(meta.catalogo_id) : null,
+      Number(payment.transaction_amount || 0),
+      payment.currency_id || "ARS",
+      meta.coupon_code || null,
+      normalizeLanguage(meta.preferred_language),
+      payment.date_approved || new Date().toISOString(),
+    ]
+  );
+}
+
+async function markInscripcionReversed(payment) {
+  await pool.query(
+    `UPDATE inscripciones
+        SET status = $2, reversed_at = now()
+      WHERE payment_id = $1
+        AND status = 'approved'`,
+    [String(payment.id), payment.status]
+  );
+}
+
 // ----------- CRON: liberar holds vencidos ----------
 setInterval(async () => {
   if (!pool) return;
@@ -1689,15 +8770,262 @@ setInterval(async () => {
 // ============================
 // ADMIN (X-Admin-Key)
 // ============================
-function requireAdmin(req, res, next) {
-  const key = req.headers["x-admin-key"] || req.query.key;
-  if (!key || key !== ADMIN_KEY)
-    return res.status(401).json({ error: "unauthorized" });
-  next();
+// Cada admin tiene su propia clave. En la tabla se guarda solo el hash.
+// Tabla admin_credentials (Supabase):
+//   id, name, key_hash (sha256 hex, unique), key_prefix (para reconocerla),
+//   scopes text[]  -> ADMIN_SCOPES o '*'
+//   created_at, created_by, last_used_at, revoked_at
+const ADMIN_SCOPES = [
+  "horarios",
+  "profesores",
+  "catalogo",
+  "payments",
+  "credentials",
+  "audit",
+];
+
+// La clave compartida vieja ya no es una credencial. Solo para crear las
+// primeras claves nominales se puede habilitar a mano, con vencimiento y
+// únicamente con el scope "credentials":
+//   ADMIN_KEY=...  ADMIN_KEY_BOOTSTRAP_UNTIL=2026-11-01T00:00:00Z
+const ADMIN_KEY_BOOTSTRAP_UNTIL =
+  Date.parse(process.env.ADMIN_KEY_BOOTSTRAP_UNTIL || "") || null;
+
+function adminKeyBootstrapOpen() {
+  return !!ADMIN_KEY && !!ADMIN_KEY_BOOTSTRAP_UNTIL && Date.now() < ADMIN_KEY_BOOTSTRAP_UNTIL;
+}
+
+if (adminKeyBootstrapOpen()) {
+  console.warn(
+    `⚠️ ADMIN_KEY habilitada hasta ${new Date(ADMIN_KEY_BOOTSTRAP_UNTIL).toISOString()} solo para crear credenciales en /admin/credentials.`
+  );
+} else if (ADMIN_KEY) {
+  console.warn("⚠️ ADMIN_KEY está definida pero ya no se acepta: usá credenciales nominales y borrala.");
+}
+
+async function findAdminCredential(key) {
+  if (adminKeyBootstrapOpen()) {
+    const a = Buffer.from(sha256(key), "hex");
+    const b = Buffer.from(sha256(ADMIN_KEY), "hex");
+    if (crypto.timingSafeEqual(a, b)) {
+      return { id: null, name: "ADMIN_KEY (arranque)", scopes: ["credentials"] };
+    }
+  }
+
+  const { data, error } = await supabase
+    .from("admin_credentials")
+    .select("id, name, scopes, revoked_at")
+    .eq("key_hash", sha256(key))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || data.revoked_at) return null;
+
+  supabase
+    .from("admin_credentials")
+    .update({ last_used_at: new Date().toISOString() })
+    .eq("id", data.id)
+    .then(({ error: updErr }) => {
+      if (updErr) console.error("Error actualizando last_used_at:", updErr);
+    });
+
+  return { id: data.id, name: data.name, scopes: data.scopes || [] };
+}
+
+// requireAdmin("horarios") -> exige una credencial con ese scope (o '*').
+// La clave va SOLO en el header x-admin-key (en la query termina en logs).
+function requireAdmin(scope) {
+  return async (req, res, next) => {
+    const key = req.headers["x-admin-key"];
+    if (!key) return res.status(401).json({ error: "unauthorized" });
+
+    try {
+      const cred = await findAdminCredential(String(key));
+      if (!cred) return res.status(401).json({ error: "unauthorized" });
+      if (!cred.scopes.includes("*") && !cred.scopes.includes(scope)) {
+        return res.status(403).json({ error: "forbidden", scope });
+      }
+      req.admin = cred;
+      next();
+    } catch (e) {
+      console.error("[requireAdmin]", e);
+      return res.status(500).json({ error: "auth_error" });
+    }
+  };
+}
+
+// ============================
+// AUDITORÍA DE ACCIONES ADMIN
+// ============================
+// Tabla admin_audit_log (Supabase):
+//   id, actor_type ('credential' | 'user' | 'system'), actor_id, actor_name,
+//   action, target_type, target_id, before jsonb, after jsonb,
+//   ip, created_at
+// Acciones automáticas (webhooks) pasan { system: "mercadopago" } como req
+// y quedan con actor_type 'system'.
+// Si falla el registro se loguea pero no se corta la acción.
+async function auditLog(req, { action, targetType, targetId, before, after }) {
+  let actor = { actor_type: "unknown", actor_id: null, actor_name: null };
+  if (req.system) {
+    actor = { actor_type: "system", actor_id: null, actor_name: req.system };
+  } else if (req.admin) {
+    actor = {
+      actor_type: "credential",
+      actor_id: req.admin.id,
+      actor_name: req.admin.name,
+    };
+  } else if (req.user) {
+    actor = {
+      actor_type: "user",
+      actor_id: req.user.id,
+      actor_name: req.user.email,
+    };
+  }
+
+  try {
+    const { error } = await supabase.from("admin_audit_log").insert({
+      ...actor,
+      action,
+      target_type: targetType || null,
+      target_id: targetId != null ? String(targetId) : null,
+      before: before ?? null,
+      after: after ?? null,
+      ip: req.ip || null,
+      created_at: new Date().toISOString(),
+    });
+    if (error) console.error("Error guardando auditoría:", error);
+  } catch (e) {
+    console.error("Error auditLog:", e);
+  }
 }
 
+// GET /admin/audit?action=&actor_id=&target_type=&target_id=&from=&to=&limit=
+app.get("/admin/audit", requireAdmin("audit"), async (req, res) => {
+  try {
+    const { action, actor_id, target_type, target_id, from, to, limit } =
+      req.query || {};
+
+    let query = supabase.from("admin_audit_log").select("*");
+
+    if (action) query = query.eq("action", action);
+    if (actor_id) query = query.eq("actor_id", actor_id);
+    if (target_type) query = query.eq("target_type", target_type);
+    if (target_id) query = query.eq("target_id", target_id);
+    if (from) query = query.gte("created_at", new Date(from).toISOString());
+    if (to) query = query.lte("created_at", new Date(to).toISOString());
+
+    const max = Math.min(Number(limit) || 200, 1000);
+
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(max);
+
+    if (error) {
+      console.error("[GET /admin/audit]", error);
+      return res.status(500).json({ error: "db_error" });
+    }
+
+    res.json(data || []);
+  } catch (e) {
+    console.error("[GET /admin/audit]", e);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+// ----------- CREDENCIALES ----------
+
+// GET /admin/credentials
+app.get("/admin/credentials", requireAdmin("credentials"), async (_req, res) => {
+  const { data, error } = await supabase
+    .from("admin_credentials")
+    .select("id, name, key_prefix, scopes, created_at, created_by, last_used_at, revoked_at")
+    .order("created_at", { ascending: false });
+
+  if (error) {
+    console.error("[GET /admin/credentials]", error);
+    return res.status(500).json({ error: "db_error" });
+  }
+  res.json(data || []);
+});
+
+// POST /admin/credentials  Body: { name, scopes: ["horarios", ...] | ["*"] }
+// La clave se devuelve UNA sola vez.
+app.post("/admin/credentials", requireAdmin("credentials"), async (req, res) => {
+  const { name, scopes } = req.body || {};
+
+  if (!name || !String(name).trim())
+    return res
+      .status(400)
+      .json({ error: "bad_request", message: "name requerido" });
+
+  const list = Array.isArray(scopes) ? scopes.map(String) : [];
+  const invalid = list.filter((s) => s !== "*" && !ADMIN_SCOPES.includes(s));
+  if (!list.length || invalid.length)
+    return res.status(400).json({
+      error: "bad_request",
+      message: `scopes inválidos. Valores posibles: *, ${ADMIN_SCOPES.join(", ")}`,
+    });
+
+  const key = `pp_${crypto.randomBytes(24).toString("hex")}`;
+
+  const { data, error } = await supabase
+    .from("admin_credentials")
+    .insert({
+      name: String(name).trim(),
+      key_hash: sha256(key),
+      key_prefix: key.slice(0, 10),
+      scopes: list,
+      created_at: new Date().toISOString(),
+      created_by: req.admin.name,
+    })
+    .select("id, name, key_prefix, scopes, created_at")
+    .single();
+
+  if (error) {
+    console.error("[POST /admin/credentials]", error);
+    return res.status(500).json({ error: "db_error" });
+  }
+
+  await auditLog(req, {
+    action: "credential.create",
+    targetType: "admin_credential",
+    targetId: data.id,
+    after: data,
+  });
+
+  res.json({ ...data, key });
+});
+
+// POST /admin/credentials/:id/revoke
+app.post("/admin/credentials/:id/revoke", requireAdmin("credentials"), async (req, res) => {
+  const id = req.params.id;
+
+  const { data, error } = await supabase
+    .from("admin_credentials")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("revoked_at", null)
+    .select("id, name, key_prefix, scopes, revoked_at")
+    .maybeSingle();
+
+  if (error) {
+    console.error("[POST /admin/credentials/:id/revoke]", error);
+    return res.status(500).json({ error: "db_error" });
+  }
+  if (!data) return res.status(404).json({ error: "not_found" });
+
+  await auditLog(req, {
+    action: "credential.revoke",
+    targetType: "admin_credential",
+    targetId: id,
+    after: data,
+  });
+
+  res.json({ ok: true });
+});
+
 // GET /admin/profesores
-app.get("/admin/profesores", requireAdmin, async (_req, res) => {
+app.get("/admin/profesores", requireAdmin("profesores"), async (_req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
   try {
     const { rows } = await pool.query(
@@ -1711,7 +9039,7 @@ app.get("/admin/profesores", requireAdmin, async (_req, res) => {
 });
 
 // POST /admin/profesores
-app.post("/admin/profesores", requireAdmin, async (req, res) => {
+app.post("/admin/profesores", requireAdmin("profesores"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
   const { nombre } = req.body || {};
   if (!nombre || !String(nombre).trim())
@@ -1723,19 +9051,145 @@ app.post("/admin/profesores", requireAdmin, async (req, res) => {
       `INSERT INTO profesores (nombre) VALUES ($1) RETURNING id, nombre`,
       [String(nombre).trim()]
     );
+    await auditLog(req, {
+      action: "profesor.create",
+      targetType: "profesor",
+      targetId: rows[0].id,
+      after: rows[0],
+    });
     res.json(rows[0]);
   } catch (e) {
     console.error("[POST /admin/profesores]", e);
     res.status(500).json({ error: "db_error" });
   }
 });
+
+// ============================
+// ADMIN / CATÁLOGO (precios)
+// ============================
+
+// GET /admin/catalogo  -> todas las entradas (incluye inactivas / vencidas)
+app.get("/admin/catalogo", requireAdmin("catalogo"), async (_req, res) => {
+  if (!pool) return res.status(500).json({ error: "db_not_configured" });
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, programa, modalidad, frecuencia, currency, price::float AS price, title,
+              valid_from, valid_to, active
+         FROM catalogo
+        ORDER BY modalidad, programa NULLS FIRST, frecuencia NULLS FIRST, currency, valid_from DESC NULLS LAST`
+    );
+    res.json(rows);
+  } catch (e) {
+    console.error("[GET /admin/catalogo]", e);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+// POST /admin/catalogo
+// Body: { modalidad, currency, price, title?, programa?, frecuencia?, valid_from?, valid_to? }
+app.post("/admin/catalogo", requireAdmin("catalogo"), async (req, res) => {
+  if (!pool) return res.status(500).json({ error: "db_not_configured" });
+
+  const {
+    modalidad,
+    programa,
+    frecuencia,
+    currency,
+    price,
+    title,
+    valid_from,
+    valid_to,
+  } = req.body || {};
+
+  if (!modalidad || !currency || !/^[A-Z]{3}$/.test(currency))
+    return res.status(400).json({
+      error: "bad_request",
+      message: "modalidad y currency (ej: ARS) son requeridos",
+    });
+  if (!(Number(price) > 0))
+    return res.status(400).json({
+      error: "bad_request",
+      message: "price debe ser número > 0",
+    });
+
+  try {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO catalogo (programa, modalidad, frecuencia, currency, price, title, valid_from, valid_to, active)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+      RETURNING id, programa, modalidad, frecuencia, currency, price::float AS price, title,
+                valid_from, valid_to, active
+      `,
+      [
+        normalizePrograma(programa),
+        String(modalidad).trim().toLowerCase(),
+        normalizeFrecuencia(frecuencia),
+        currency,
+        Number(price),
+        title ? String(title).trim() : null,
+        valid_from || null,
+        valid_to || null,
+      ]
+    );
+    await auditLog(req, {
+      action: "catalogo.create",
+      targetType: "catalogo",
+      targetId: rows[0].id,
+      after: rows[0],
+    });
+    res.json(rows[0]);
+  } catch (e) {
+    console.error("[POST /admin/catalogo]", e);
+    res.status(500).json({ error: "db_error" });
+  }
+});
+
+// DELETE /admin/catalogo/:id  -> desactiva (no se borra para no perder historial)
+app.delete("/admin/catalogo/:id", requireAdmin("catalogo"), async (req, res) => {
+  if (!pool) return res.status(500).json({ error: "db_not_configured" });
+
+  const id = Number(req.params.id || 0);
+  if (!id) {
+    return res.status(400).json({
+      error: "bad_request",
+      message: "id de catálogo requerido",
+    });
+  }
+
+  try {
+    // prev = la fila antes del UPDATE (mismo snapshot), para auditar el
+    // estado real y no suponer que estaba activa
+    const { rows } = await pool.query(
+      `UPDATE catalogo c SET active = false
+         FROM catalogo prev
+        WHERE c.id = $1 AND prev.id = c.id
+       RETURNING c.id, c.programa, c.modalidad, c.frecuencia, c.currency,
+                 c.price::float AS price, c.title, prev.active AS prev_active`,
+      [id]
+    );
+    const row = rows[0] ? { ...rows[0] } : null;
+    const prevActive = row?.prev_active;
+    if (row) delete row.prev_active;
+    await auditLog(req, {
+      action: "catalogo.deactivate",
+      targetType: "catalogo",
+      targetId: id,
+      before: row ? { ...row, active: prevActive } : null,
+      after: row ? { ...row, active: false } : null,
+    });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("[DELETE /admin/catalogo/:id]", e);
+    res.status(500).json({ error: "db_error" });
+  }
+});
 // ============================
 // ADMIN / HORARIOS (para admin-panel de Odoo)
 // ============================
 
 // GET /admin/horarios
 // Lista TODOS los horarios (el panel después filtra por día / profe)
-app.get("/admin/horarios", requireAdmin, async (req, res) => {
+app.get("/admin/horarios", requireAdmin("horarios"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   try {
@@ -1761,7 +9215,7 @@ app.get("/admin/horarios", requireAdmin, async (req, res) => {
 
 // POST /admin/horarios
 // Crea un horario nuevo desde el panel (día, hora, profe)
-app.post("/admin/horarios", requireAdmin, async (req, res) => {
+app.post("/admin/horarios", requireAdmin("horarios"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   const { profesor_id, dia_semana, hora } = req.body || {};
@@ -1782,6 +9236,12 @@ app.post("/admin/horarios", requireAdmin, async (req, res) => {
       `,
       [Number(profesor_id), String(dia_semana), String(hora)]
     );
+    await auditLog(req, {
+      action: "horario.create",
+      targetType: "horario",
+      targetId: rows[0].id,
+      after: rows[0],
+    });
     res.json(rows[0]);
   } catch (e) {
     console.error("[POST /admin/horarios]", e);
@@ -1791,7 +9251,7 @@ app.post("/admin/horarios", requireAdmin, async (req, res) => {
 
 // DELETE /admin/horarios/:id
 // Borrar horario desde el botón "Borrar" del panel
-app.delete("/admin/horarios/:id", requireAdmin, async (req, res) => {
+app.delete("/admin/horarios/:id", requireAdmin("horarios"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   const id = Number(req.params.id || 0);
@@ -1803,7 +9263,17 @@ app.delete("/admin/horarios/:id", requireAdmin, async (req, res) => {
   }
 
   try {
-    await pool.query(`DELETE FROM horarios WHERE id = $1`, [id]);
+    const { rows } = await pool.query(
+      `DELETE FROM horarios WHERE id = $1
+       RETURNING id, profesor_id, dia_semana, to_char(hora,'HH24:MI') AS hora`,
+      [id]
+    );
+    await auditLog(req, {
+      action: "horario.delete",
+      targetType: "horario",
+      targetId: id,
+      before: rows[0] || null,
+    });
     res.json({ ok: true });
   } catch (e) {
     console.error("[DELETE /admin/horarios/:id]", e);
@@ -1812,7 +9282,7 @@ app.delete("/admin/horarios/:id", requireAdmin, async (req, res) => {
 });
 
 // Por compatibilidad extra (por si el panel usa POST en vez de DELETE)
-app.post("/admin/horarios/delete", requireAdmin, async (req, res) => {
+app.post("/admin/horarios/delete", requireAdmin("horarios"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   const id = Number((req.body && req.body.id) || 0);
@@ -1824,7 +9294,17 @@ app.post("/admin/horarios/delete", requireAdmin, async (req, res) => {
   }
 
   try {
-    await pool.query(`DELETE FROM horarios WHERE id = $1`, [id]);
+    const { rows } = await pool.query(
+      `DELETE FROM horarios WHERE id = $1
+       RETURNING id, profesor_id, dia_semana, to_char(hora,'HH24:MI') AS hora`,
+      [id]
+    );
+    await auditLog(req, {
+      action: "horario.delete",
+      targetType: "horario",
+      targetId: id,
+      before: rows[0] || null,
+    });
     res.json({ ok: true });
   } catch (e) {
     console.error("[POST /admin/horarios/delete]", e);
@@ -1836,25 +9316,30 @@ app.post("/admin/horarios/delete", requireAdmin, async (req, res) => {
 // ============================
 
 // helper para liberar reservas de un horario
+// Devuelve las reservas canceladas (con su estado anterior) para auditoría.
 async function liberarCupoHorario(horarioId) {
   if (!pool) throw new Error("db_not_configured");
 
   console.log('[liberarCupoHorario] Liberando cupo de horario', horarioId);
 
-  await pool.query(
+  const { rows } = await pool.query(
     `
-      UPDATE reservas
+      UPDATE reservas r
          SET estado = 'cancelado',
              reservado_hasta = NULL
-       WHERE horario_id = $1
-         AND estado IN ('pendiente','bloqueado','pagado')
+        FROM reservas prev
+       WHERE r.id = prev.id
+         AND r.horario_id = $1
+         AND r.estado IN ('pendiente','bloqueado','pagado')
+      RETURNING r.id, prev.estado AS estado_anterior, r.alumno_nombre, r.alumno_email
     `,
     [horarioId]
   );
+  return rows;
 }
 
 // GET /admin/horarios  -> listado para el panel con filtro opcional
-app.get('/admin/horarios', requireAdmin, async (req, res) => {
+app.get('/admin/horarios', requireAdmin("horarios"), async (req, res) => {
    console.log('*** NUEVO HANDLER /admin/horarios ***', req.query);   // 👈 AGREGÁ ESTO
    
   if (!pool) {
@@ -1900,7 +9385,7 @@ app.get('/admin/horarios', requireAdmin, async (req, res) => {
 });
 
 // POST /admin/horarios  -> crear nuevo horario desde el panel
-app.post("/admin/horarios", requireAdmin, async (req, res) => {
+app.post("/admin/horarios", requireAdmin("horarios"), async (req, res) => {
   if (!pool) return res.status(500).json({ error: "db_not_configured" });
 
   const { profesor_id, dia_semana, hora } = req.body || {};
@@ -1923,6 +9408,12 @@ app.post("/admin/horarios", requireAdmin, async (req, res) => {
       `,
       [Number(profesor_id), String(dia_semana).trim(), hora]
     );
+    await auditLog(req, {
+      action: "horario.create",
+      targetType: "horario",
+      targetId: rows[0].horario_id,
+      after: rows[0],
+    });
     return res.json(rows[0]);
   } catch (e) {
     console.error("[POST /admin/horarios]", e);
@@ -1931,14 +9422,21 @@ app.post("/admin/horarios", requireAdmin, async (req, res) => {
 });
 
 // POST /admin/horarios/:id/liberar  -> botón "Liberar cupo" del panel
-app.post("/admin/horarios/:id/liberar", requireAdmin, async (req, res) => {
+app.post("/admin/horarios/:id/liberar", requireAdmin("horarios"), async (req, res) => {
   try {
     const horarioId = Number(req.params.id);
     if (!horarioId) {
       return res.status(400).json({ error: "bad_request", message: "id inválido" });
     }
 
-    await liberarCupoHorario(horarioId);
+    const liberadas = await liberarCupoHorario(horarioId);
+    await auditLog(req, {
+      action: "horario.liberar",
+      targetType: "horario",
+      targetId: horarioId,
+      before: liberadas,
+      after: liberadas.map((r) => ({ id: r.id, estado: "cancelado" })),
+    });
     return res.json({ ok: true });
   } catch (e) {
     console.error("[POST /admin/horarios/:id/liberar]", e);
@@ -1947,14 +9445,21 @@ app.post("/admin/horarios/:id/liberar", requireAdmin, async (req, res) => {
 });
 
 // Alias por compatibilidad: algunos JS del panel llaman /horarios/:id/liberar
-app.post("/horarios/:id/liberar", requireAdmin, async (req, res) => {
+app.post("/horarios/:id/liberar", requireAdmin("horarios"), async (req, res) => {
   try {
     const horarioId = Number(req.params.id);
     if (!horarioId) {
       return res.status(400).json({ error: "bad_request", message: "id inválido" });
     }
 
-    await liberarCupoHorario(horarioId);
+    const liberadas = await liberarCupoHorario(horarioId);
+    await auditLog(req, {
+      action: "horario.liberar",
+      targetType: "horario",
+      targetId: horarioId,
+      before: liberadas,
+      after: liberadas.map((r) => ({ id: r.id, estado: "cancelado" })),
+    });
     return res.json({ ok: true });
   } catch (e) {
     console.error("[POST /horarios/:id/liberar]", e);